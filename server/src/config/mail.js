@@ -0,0 +1,83 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CivicVoice <no-reply@civicvoice.local>';
+
+/**
+ * Built-in transports, selected with MAIL_TRANSPORT
+ *   smtp    - any SMTP server (use MailHog/Mailpit on localhost:1025 in development)
+ *   console - print messages to the server log instead of sending (development only: messages
+ *             carry live invitation and reset tokens)
+ */
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  }),
+
+  console: () => ({
+    async sendMail(message) {
+      console.log('━'.repeat(60));
+      console.log(`[Mail] To: ${message.to}`);
+      console.log(`[Mail] Subject: ${message.subject}`);
+      console.log(message.text);
+      console.log('━'.repeat(60));
+      return { messageId: `console-${Date.now()}` };
+    },
+  }),
+};
+
+let transport = null;
+
+/**
+ * Register an additional transport factory (e.g. a provider SDK wrapper)
+ * The factory must return an object with an async sendMail(message) method
+ */
+export function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Replace the active transport directly
+ */
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Active transport, created on first use
+ * Outside development MAIL_TRANSPORT must be set, and never to console.
+ */
+function getTransport() {
+  if (!transport) {
+    const development = process.env.NODE_ENV === 'development';
+    const name = process.env.MAIL_TRANSPORT || (development ? 'console' : null);
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT is not set (use smtp, or console in development)');
+    }
+    if (name === 'console' && !development) {
+      throw new Error('MAIL_TRANSPORT=console is only allowed with NODE_ENV=development');
+    }
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Send an email through the configured transport
+ */
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().sendMail({ from: MAIL_FROM, to, subject, text, html });
+}
+
+export default sendMail;
@@ -400,6 +400,346 @@ const migrations = [
       CREATE UNIQUE INDEX IF NOT EXISTS idx_voter_stats_unique
         ON voter_stats(county_name, precinct_name, party, sex, race, age_group);
     `
+  },
+
+  // Organization scoping for work product
+  {
+    name: 'Add organization columns to work product tables',
+    sql: `
+      ALTER TABLE saved_queries ADD COLUMN IF NOT EXISTS organization VARCHAR(255);
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS organization VARCHAR(255);
+      ALTER TABLE turfs ADD COLUMN IF NOT EXISTS organization VARCHAR(255);
+      ALTER TABLE contact_history ADD COLUMN IF NOT EXISTS organization VARCHAR(255);
+
+      -- Accounts that never set an organization get their own (named by email), keeping the
+      -- per-user ownership they had, rather than being locked out by requireOrganization
+      UPDATE users SET organization = email WHERE organization IS NULL OR TRIM(organization) = '';
+
+      -- Backfill from the creating user's organization
+      UPDATE saved_queries t SET organization = u.organization
+        FROM users u WHERE t.user_id = u.id AND t.organization IS NULL;
+      UPDATE lists t SET organization = u.organization
+        FROM users u WHERE t.user_id = u.id AND t.organization IS NULL;
+      UPDATE turfs t SET organization = u.organization
+        FROM users u WHERE t.user_id = u.id AND t.organization IS NULL;
+      UPDATE contact_history t SET organization = u.organization
+        FROM users u WHERE t.user_id = u.id AND t.organization IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_saved_queries_organization ON saved_queries(organization);
+      CREATE INDEX IF NOT EXISTS idx_lists_organization ON lists(organization);
+      CREATE INDEX IF NOT EXISTS idx_turfs_organization ON turfs(organization);
+      CREATE INDEX IF NOT EXISTS idx_contact_history_organization ON contact_history(organization);
+    `
+  },
+
+  // Role-based access control
+  {
+    name: 'Normalize user roles',
+    sql: `
+      -- Accounts created before roles existed keep their full access; the earliest one in each
+      -- organization without an admin becomes its admin, so user management stays reachable
+      UPDATE users u
+      SET role = CASE WHEN u.id IN (
+        SELECT DISTINCT ON (l.organization) l.id
+        FROM users l
+        WHERE (l.role IS NULL OR l.role = 'user')
+          AND NOT EXISTS (SELECT 1 FROM users a WHERE a.organization = l.organization AND a.role = 'admin')
+        ORDER BY l.organization, l.created_at, l.id
+      ) THEN 'admin' ELSE 'organizer' END
+      WHERE u.role IS NULL OR u.role = 'user';
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+      ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users ADD CONSTRAINT users_role_check
+        CHECK (role IN ('admin', 'organizer', 'canvasser', 'phonebank', 'viewer'));
+    `
+  },
+  {
+    name: 'Create turf_assignments table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS turf_assignments (
+        turf_id INTEGER NOT NULL REFERENCES turfs(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        assigned_by INTEGER REFERENCES users(id),
+        assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (turf_id, user_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_turf_assignments_user ON turf_assignments(user_id);
+    `
+  },
+
+  // Refresh-token sessions
+  {
+    name: 'Create user_sessions table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revoke_reason VARCHAR(50)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions(previous_token_hash);
+    `
+  },
+
+  // Organization invitations
+  {
+    name: 'Create invitations table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS invitations (
+        id SERIAL PRIMARY KEY,
+        organization VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        role VARCHAR(50) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        accepted_at TIMESTAMP WITH TIME ZONE,
+        accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_invitations_organization ON invitations(organization);
+    `
+  },
+
+  // Password reset and two-factor authentication
+  {
+    name: 'Create password_reset_tokens table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        requested_ip VARCHAR(64),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+    `
+  },
+  {
+    name: 'Add two-factor authentication',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+    `
+  },
+
+  // PII access audit log (append-only)
+  {
+    name: 'Create audit_log table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        user_id INTEGER,
+        user_email VARCHAR(255),
+        user_role VARCHAR(50),
+        organization VARCHAR(255),
+        session_id INTEGER,
+        action VARCHAR(50) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(255),
+        query_config JSONB,
+        row_count INTEGER,
+        details JSONB,
+        ip_address VARCHAR(64),
+        user_agent TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_org_time ON audit_log(organization, occurred_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, occurred_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+      -- No foreign keys: entries must outlive the users, lists and turfs they mention
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+      CREATE TRIGGER audit_log_no_update
+        BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+    `
+  },
+
+  // Confidential voters
+  {
+    name: 'Add confidential voter index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_voters_confidential ON voters(ncid) WHERE confidential_ind IS TRUE;
+    `
+  },
+
+  // Field-level redaction policies
+  {
+    name: 'Create redaction_policies table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS redaction_policies (
+        organization VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL,
+        policy JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (organization, role)
+      );
+    `
+  },
+
+  // Query filters over lists and contact history
+  {
+    name: 'Add list tags and contact history lookup index',
+    sql: `
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+      CREATE INDEX IF NOT EXISTS idx_lists_tags ON lists USING GIN(tags);
+      CREATE INDEX IF NOT EXISTS idx_list_voters_ncid ON list_voters(ncid);
+      CREATE INDEX IF NOT EXISTS idx_contact_history_org_ncid ON contact_history(organization, ncid, contacted_at DESC);
+    `
+  },
+
+  // Keyset pagination over the default sort (matches ORDER BY in src/query/pagination.js)
+  {
+    name: 'Add voter name sort index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_voters_name_sort
+        ON voters ((COALESCE(last_name, '')), (COALESCE(first_name, '')), ncid);
+    `
+  },
+
+  // Ranked name search (trigram + Double Metaphone candidates per name part)
+  {
+    name: 'Add phonetic and per-name trigram search indexes',
+    sql: `
+      CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+      CREATE INDEX IF NOT EXISTS idx_voters_last_name_trgm ON voters USING GIN(last_name gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_voters_first_name_trgm ON voters USING GIN(first_name gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_voters_last_name_dmetaphone ON voters (dmetaphone(last_name));
+      CREATE INDEX IF NOT EXISTS idx_voters_first_name_dmetaphone ON voters (dmetaphone(first_name));
+    `
+  },
+
+  // Field experiments (assignments outlive the list they were drawn from)
+  {
+    name: 'Create experiments and experiment_assignments tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS experiments (
+        id SERIAL PRIMARY KEY,
+        organization VARCHAR(255) NOT NULL,
+        list_id INTEGER REFERENCES lists(id) ON DELETE SET NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        name VARCHAR(255) NOT NULL,
+        seed VARCHAR(100) NOT NULL,
+        arms JSONB NOT NULL,
+        cluster_by VARCHAR(20) NOT NULL,
+        stratify_by TEXT[] DEFAULT '{}',
+        voter_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS experiment_assignments (
+        experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+        ncid VARCHAR(20) NOT NULL REFERENCES voters(ncid) ON DELETE CASCADE,
+        arm VARCHAR(50) NOT NULL,
+        cluster_id VARCHAR(50),
+        stratum VARCHAR(255),
+        PRIMARY KEY (experiment_id, ncid)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_experiments_organization ON experiments(organization, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_experiment_assignments_ncid ON experiment_assignments(ncid);
+    `
+  },
+
+  // Dynamic list refresh history
+  {
+    name: 'Create list_refreshes table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS list_refreshes (
+        id SERIAL PRIMARY KEY,
+        list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        trigger VARCHAR(20) NOT NULL,
+        added TEXT[] DEFAULT '{}',
+        removed TEXT[] DEFAULT '{}',
+        added_count INTEGER DEFAULT 0,
+        removed_count INTEGER DEFAULT 0,
+        voter_count INTEGER DEFAULT 0,
+        refreshed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_list_refreshes_list ON list_refreshes(list_id, refreshed_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_lists_dynamic ON lists(id) WHERE list_type = 'dynamic';
+    `
+  },
+
+  // Uploaded partner rosters and their voter file matches
+  {
+    name: 'Create roster_uploads and roster_rows tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS roster_uploads (
+        id SERIAL PRIMARY KEY,
+        organization VARCHAR(255) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        filename VARCHAR(255),
+        columns JSONB,
+        row_count INTEGER DEFAULT 0,
+        list_id INTEGER REFERENCES lists(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS roster_rows (
+        id SERIAL PRIMARY KEY,
+        upload_id INTEGER NOT NULL REFERENCES roster_uploads(id) ON DELETE CASCADE,
+        row_number INTEGER NOT NULL,
+        data JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        match_method VARCHAR(20),
+        ncid VARCHAR(20) REFERENCES voters(ncid) ON DELETE SET NULL,
+        confidence NUMERIC(4, 3),
+        candidates JSONB DEFAULT '[]',
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_roster_uploads_organization ON roster_uploads(organization, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_roster_rows_upload ON roster_rows(upload_id, status, row_number);
+    `
+  },
+
+  // One marked target per household on a list
+  {
+    name: 'Add household head to list_voters',
+    sql: `
+      ALTER TABLE list_voters ADD COLUMN IF NOT EXISTS is_household_head BOOLEAN NOT NULL DEFAULT FALSE;
+    `
   }
 ];
 
@@ -17,11 +17,19 @@ import { db, testConnection } from './config/database.js';
 import votersRouter from './routes/voters.js';
 import queryRouter from './routes/query.js';
 import listsRouter from './routes/lists.js';
+import experimentsRouter from './routes/experiments.js';
+import rostersRouter from './routes/rosters.js';
 import turfsRouter from './routes/turfs.js';
 import exportRouter from './routes/export.js';
 import statsRouter from './routes/stats.js';
-import authRouter from './routes/auth.js';
+import auditRouter from './routes/audit.js';
+import redactionRouter from './routes/redaction.js';
+import authRouter, { authMiddleware, requireOrganization } from './routes/auth.js';
+import { resolveConfidentialAccess } from './middleware/confidential.js';
+import { applyRedactionPolicy } from './middleware/redaction.js';
+import { statementTimeout } from './middleware/timeouts.js';
 import geocodeRouter from './routes/geocode.js';
+import invitationsRouter from './routes/invitations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,6 +52,7 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition', 'X-Excluded-Confidential'],
 }));
 
 // Compression
@@ -74,15 +83,22 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API routes
+// API routes (everything except /api/auth and /api/invitations requires a valid token and an organization)
+const requireAuth = [authMiddleware, requireOrganization, resolveConfidentialAccess, applyRedactionPolicy];
+
 app.use('/api/auth', authRouter);
-app.use('/api/voters', votersRouter);
-app.use('/api/query', queryRouter);
-app.use('/api/lists', listsRouter);
-app.use('/api/turfs', turfsRouter);
-app.use('/api/export', exportRouter);
-app.use('/api/stats', statsRouter);
-app.use('/api/geocode', geocodeRouter);
+app.use('/api/invitations', invitationsRouter);
+app.use('/api/voters', requireAuth, votersRouter);
+app.use('/api/query', requireAuth, statementTimeout, queryRouter);
+app.use('/api/lists', requireAuth, listsRouter);
+app.use('/api/experiments', requireAuth, experimentsRouter);
+app.use('/api/rosters', requireAuth, statementTimeout, rostersRouter);
+app.use('/api/turfs', requireAuth, turfsRouter);
+app.use('/api/export', requireAuth, statementTimeout, exportRouter);
+app.use('/api/stats', requireAuth, statementTimeout, statsRouter);
+app.use('/api/geocode', requireAuth, geocodeRouter);
+app.use('/api/audit', requireAuth, auditRouter);
+app.use('/api/redaction-policies', requireAuth, redactionRouter);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -90,30 +106,78 @@ app.get('/api', (req, res) => {
     name: 'CivicVoice API',
     version: '1.0.0',
     endpoints: {
+      auth: {
+        'POST /api/auth/register': 'Create account',
+        'POST /api/auth/login': 'Login (returns a 2FA challenge when enabled)',
+        'POST /api/auth/login/2fa': 'Complete login with a TOTP or recovery code',
+        'POST /api/auth/password/forgot': 'Email a password reset link',
+        'POST /api/auth/password/reset': 'Set a new password with a reset token',
+        'GET /api/auth/2fa': 'Two-factor status',
+        'POST /api/auth/2fa/setup': 'Start two-factor enrollment',
+        'POST /api/auth/2fa/enable': 'Confirm enrollment and get recovery codes',
+        'POST /api/auth/2fa/recovery-codes': 'Regenerate recovery codes',
+        'POST /api/auth/2fa/disable': 'Turn off two-factor authentication',
+        'POST /api/auth/refresh': 'Rotate refresh token and get a new access token',
+        'POST /api/auth/logout': 'Revoke current session',
+        'GET /api/auth/me': 'Current user',
+        'GET /api/auth/sessions': 'List active sessions',
+        'DELETE /api/auth/sessions/:id': 'Revoke a session',
+        'DELETE /api/auth/sessions': 'Revoke all sessions',
+        'GET /api/auth/users': 'List organization users',
+        'DELETE /api/auth/users/:id/sessions': 'Force-logout a user',
+        'PUT /api/auth/users/:id/role': 'Change a user role (admin)',
+      },
       voters: {
         'GET /api/voters': 'List voters with filters',
+        'GET /api/voters/search': 'Ranked fuzzy/phonetic name search',
         'GET /api/voters/:ncid': 'Get voter by NCID',
         'GET /api/voters/:ncid/history': 'Get voter vote history',
       },
       query: {
-        'POST /api/query/build': 'Build and execute voter query',
+        'POST /api/query/build': 'Build and execute voter query (cursor or offset paging, exact/estimated/no count)',
+        'POST /api/query/stream': 'Stream every matching voter as NDJSON',
         'POST /api/query/count': 'Get count for query',
+        'POST /api/query/overlap': 'Venn overlap of saved queries and lists',
+        'POST /api/query/explain': 'Planner estimate and warnings for a query (not executed)',
+        'POST /api/query/parse': 'Parse query text into a query config',
+        'POST /api/query/format': 'Format a query config as query text',
         'GET /api/query/saved': 'List saved queries',
         'POST /api/query/save': 'Save a query',
       },
       lists: {
         'GET /api/lists': 'List all lists',
         'POST /api/lists': 'Create a list from query',
+        'POST /api/lists/sample': 'Create a list from a seeded random sample',
+        'POST /api/lists/combine': 'Union, intersection or difference of lists',
         'GET /api/lists/:id': 'Get list details',
+        'PUT /api/lists/:id': 'Update list name, description or tags',
         'GET /api/lists/:id/voters': 'Get voters in list',
-        'POST /api/lists/:id/household': 'Group by household',
-        'POST /api/lists/:id/randomize': 'Randomize list order',
+        'POST /api/lists/:id/household': 'Group by household (mode: unit or building)',
+        'POST /api/lists/:id/household-heads': 'Pick one head per household by rules',
+        'POST /api/lists/:id/randomize': 'Randomize list order (optionally seeded)',
+        'POST /api/lists/:id/refresh': 'Re-run a dynamic list and report changes',
+        'GET /api/lists/:id/refreshes': 'Dynamic list refresh history',
+      },
+      experiments: {
+        'GET /api/experiments': 'List experiments',
+        'POST /api/experiments': 'Assign a list to treatment/control arms',
+        'GET /api/experiments/:id': 'Contact and turnout outcomes by arm',
+        'DELETE /api/experiments/:id': 'Delete an experiment',
+      },
+      rosters: {
+        'GET /api/rosters': 'List roster uploads',
+        'POST /api/rosters': 'Upload a roster CSV and match it to voters',
+        'GET /api/rosters/:id/rows': 'Roster rows with matches and review candidates',
+        'PUT /api/rosters/:id/rows/:rowId': 'Accept or reject a match',
+        'POST /api/rosters/:id/list': 'Save matched voters as a list',
+        'DELETE /api/rosters/:id': 'Delete a roster upload',
       },
       turfs: {
         'GET /api/turfs': 'List all turfs',
         'POST /api/turfs/auto-cut': 'Auto-cut turf from list',
         'POST /api/turfs/manual': 'Create manual turf with polygon',
         'GET /api/turfs/:id/route': 'Get optimized route',
+        'PUT /api/turfs/:id/assignments': 'Assign canvassers to a turf',
       },
       export: {
         'GET /api/export/csv/:listId': 'Export list as CSV',
@@ -124,6 +188,16 @@ app.get('/api', (req, res) => {
         'GET /api/stats/overview': 'Get database overview stats',
         'GET /api/stats/elections': 'Get election statistics',
         'GET /api/stats/demographics': 'Get demographic breakdown',
+        'POST /api/stats/demographics': 'Demographic breakdown of a query config',
+      },
+      audit: {
+        'GET /api/audit': 'Search the PII access audit log (admin)',
+        'GET /api/audit/actions': 'List audited actions',
+      },
+      redactionPolicies: {
+        'GET /api/redaction-policies': 'List per-role field policies (admin)',
+        'PUT /api/redaction-policies/:role': 'Set a role policy (allow or deny list)',
+        'DELETE /api/redaction-policies/:role': 'Remove a role policy',
       },
     },
   });
@@ -16,6 +16,7 @@ import { createReadStream } from 'fs';
 import { fileURLToPath } from 'url';
 import { db, pgp } from '../config/database.js';
 import { NCSBEStreamParser, extractZip } from './ncsbe-parser.js';
+import { refreshAllDynamicLists } from '../utils/dynamic-lists.js';
 import dotenv from 'dotenv';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -322,6 +323,10 @@ Examples:
 }
 
 ingestHistoryFile(filePath, { county })
+  .then(() => {
+    console.log('\n🔁 Refreshing dynamic lists...');
+    return refreshAllDynamicLists({ trigger: 'ingestion' });
+  })
   .then(() => process.exit(0))
   .catch(err => {
     console.error(err);
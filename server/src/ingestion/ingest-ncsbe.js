@@ -17,6 +17,7 @@ import { createReadStream } from 'fs';
 import { fileURLToPath } from 'url';
 import { db, pgp, initColumnSets, ColumnSets } from '../config/database.js';
 import { NCSBEStreamParser, extractZip, parseVoterRecord } from './ncsbe-parser.js';
+import { refreshAllDynamicLists } from '../utils/dynamic-lists.js';
 import dotenv from 'dotenv';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -351,6 +352,10 @@ Examples:
 }
 
 ingestVoterFile(filePath, { county })
+  .then(() => {
+    console.log('\n🔁 Refreshing dynamic lists...');
+    return refreshAllDynamicLists({ trigger: 'ingestion' });
+  })
   .then(() => process.exit(0))
   .catch(err => {
     console.error(err);
@@ -0,0 +1,84 @@
+/**
+ * Confidential voter handling
+ *
+ * NCSBE flags some registrations as confidential (address confidentiality program participants,
+ * protected individuals). They are left out of every voter-level response unless the caller
+ * asks for them with include_confidential=true AND holds the voters:confidential permission.
+ */
+
+import { requirePermission } from './permissions.js';
+
+const requireConfidentialAccess = requirePermission('voters:confidential');
+
+// Columns blanked when a confidential voter is returned on its own (e.g. GET /api/voters/:ncid)
+export const CONFIDENTIAL_REDACTED_FIELDS = [
+  'street_address',
+  'city',
+  'zip_code',
+  'mailing_address',
+  'mailing_city',
+  'mailing_state',
+  'mailing_zip',
+  'precinct_name',
+  'ward',
+  'phone',
+  'birth_year',
+  'latitude',
+  'longitude',
+  'lat',
+  'lng',
+];
+
+/**
+ * Resolve req.includeConfidential for the request (must run after authMiddleware)
+ * Asking for confidential voters without the permission is a 403, not a silent downgrade.
+ */
+export function resolveConfidentialAccess(req, res, next) {
+  const requested = [req.query.include_confidential, req.body?.include_confidential]
+    .some(value => value === true || value === 'true');
+
+  req.includeConfidential = false;
+
+  if (!requested) {
+    return next();
+  }
+
+  requireConfidentialAccess(req, res, () => {
+    req.includeConfidential = true;
+    next();
+  });
+}
+
+/**
+ * SQL condition excluding confidential voters, or null when the caller may see them
+ * @param {object} req
+ * @param {string} [alias] - Table alias for voters (e.g. 'v')
+ */
+export function confidentialCondition(req, alias = '') {
+  if (req.includeConfidential) return null;
+  return `${alias ? `${alias}.` : ''}confidential_ind IS NOT TRUE`;
+}
+
+/**
+ * Blank location and contact fields on a single confidential voter record
+ */
+export function redactConfidentialVoter(voter) {
+  const redacted = { ...voter };
+  for (const field of CONFIDENTIAL_REDACTED_FIELDS) {
+    if (field in redacted) redacted[field] = null;
+  }
+  redacted.redacted = true;
+  return redacted;
+}
+
+/**
+ * SELECT list for a count query over the unfiltered match set:
+ * "total" counts visible voters, "excluded_confidential" counts the ones left out
+ */
+export function confidentialCounts(req, alias = '') {
+  const condition = confidentialCondition(req, alias);
+  if (!condition) {
+    return 'COUNT(*) as total, 0 as excluded_confidential';
+  }
+  return `COUNT(*) FILTER (WHERE ${condition}) as total, COUNT(*) FILTER (WHERE NOT (${condition})) as excluded_confidential`;
+}
@@ -0,0 +1,67 @@
+/**
+ * Role-Based Access Control
+ * Maps each role to the actions it may perform and guards routes accordingly
+ */
+
+export const ROLES = ['admin', 'organizer', 'canvasser', 'phonebank', 'viewer'];
+
+/**
+ * Permission → roles allowed, with a human readable description used in 403 responses
+ */
+export const PERMISSIONS = {
+  'voters:read': { roles: ['admin', 'organizer'], description: 'look up voter records' },
+  'voters:lookup': { roles: ['admin', 'organizer', 'canvasser', 'phonebank'], description: 'look up voters on their lists or turfs' },
+  'query:run': { roles: ['admin', 'organizer'], description: 'run voter queries' },
+  'query:save': { roles: ['admin', 'organizer'], description: 'save or delete queries' },
+  'lists:read': { roles: ['admin', 'organizer', 'phonebank'], description: 'view lists' },
+  'lists:write': { roles: ['admin', 'organizer'], description: 'create or modify lists' },
+  'turfs:read': { roles: ['admin', 'organizer', 'canvasser'], description: 'view turfs' },
+  'turfs:read_all': { roles: ['admin', 'organizer'], description: 'view turfs not assigned to them' },
+  'turfs:write': { roles: ['admin', 'organizer'], description: 'cut or assign turfs' },
+  'contacts:read': { roles: ['admin', 'organizer'], description: 'view contact history' },
+  'contacts:write': { roles: ['admin', 'organizer', 'canvasser', 'phonebank'], description: 'log contacts' },
+  'export': { roles: ['admin', 'organizer'], description: 'export voter data' },
+  'geocode': { roles: ['admin', 'organizer'], description: 'start or import geocoding' },
+  'stats:read': { roles: ['admin', 'organizer', 'viewer'], description: 'view statistics' },
+  'users:read': { roles: ['admin', 'organizer'], description: 'list organization members' },
+  'users:manage': { roles: ['admin'], description: 'manage user roles' },
+  'users:invite': { roles: ['admin', 'organizer'], description: 'invite members' },
+  'sessions:revoke': { roles: ['admin', 'organizer'], description: "sign out other users' devices" },
+  'audit:read': { roles: ['admin'], description: 'read the audit log' },
+  'voters:confidential': { roles: ['admin'], description: 'include confidential voters' },
+  'policies:manage': { roles: ['admin'], description: 'manage redaction policies' },
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+export function hasPermission(role, permission) {
+  const entry = PERMISSIONS[permission];
+  if (!entry) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return entry.roles.includes(role);
+}
+
+/**
+ * Route guard (must run after authMiddleware)
+ * Responds 403 with the reason when the caller's role lacks the permission
+ */
+export function requirePermission(permission) {
+  const entry = PERMISSIONS[permission];
+  if (!entry) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!entry.roles.includes(req.userRole)) {
+      return res.status(403).json({
+        error: `Forbidden: the '${req.userRole}' role cannot ${entry.description}`,
+        permission,
+        role: req.userRole,
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Field-level redaction policies
+ *
+ * Each organization can set, per role, which voter fields its members see. A policy is either an
+ * allowlist ({ "allow": ["first_name", "street_address", "party"] }) or a denylist
+ * ({ "deny": ["phone"] }), optionally with "coordinate_precision" (decimal places kept on
+ * latitude/longitude; 3 is roughly a city block). Roles without a policy see every field.
+ *
+ * The policy is loaded once per request and enforced in one place for each output format:
+ *   JSON    - res.json is wrapped, so every voter record in any response is redacted
+ *   CSV/PDF - export routes pass their rows through redactRows before writing
+ *   GeoJSON - map data rows go through redactRows before features are built
+ */
+
+import { db } from '../config/database.js';
+import { filteredFields, QueryConfigError } from '../query/compiler.js';
+
+/**
+ * Redactable voter fields and the column names/aliases each one covers
+ * ncid is never redactable: it is the key contacts and lists are recorded against
+ */
+export const REDACTABLE_FIELDS = {
+  first_name: ['first_name'],
+  middle_name: ['middle_name'],
+  last_name: ['last_name', 'name_suffix'],
+  street_address: ['street_address', 'address'],
+  city: ['city'],
+  zip_code: ['zip_code'],
+  mailing_address: ['mailing_address', 'mailing_city', 'mailing_state', 'mailing_zip'],
+  phone: ['phone'],
+  birth_year: ['birth_year'],
+  age: ['age'],
+  sex: ['sex'],
+  race: ['race'],
+  ethnicity: ['ethnicity'],
+  party: ['party', 'party_voted'],
+  registration_date: ['registration_date'],
+  turnout_score: ['turnout_score', 'turnout'],
+  partisan_score: ['partisan_score'],
+  coordinates: ['latitude', 'longitude', 'lat', 'lng'],
+};
+
+const COORDINATE_KEYS = new Set(REDACTABLE_FIELDS.coordinates);
+
+/**
+ * Validate a policy document, returning an error message or null
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Policy must be an object';
+  }
+
+  if (policy.allow && policy.deny) {
+    return 'Use either "allow" or "deny", not both';
+  }
+
+  const fields = policy.allow || policy.deny || [];
+  if (!Array.isArray(fields)) {
+    return '"allow"/"deny" must be an array of field names';
+  }
+
+  const unknown = fields.filter(f => !REDACTABLE_FIELDS[f]);
+  if (unknown.length > 0) {
+    return `Unknown fields: ${unknown.join(', ')}. Valid fields: ${Object.keys(REDACTABLE_FIELDS).join(', ')}`;
+  }
+
+  if (policy.coordinate_precision !== undefined && policy.coordinate_precision !== null) {
+    const precision = policy.coordinate_precision;
+    if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+      return '"coordinate_precision" must be an integer from 0 to 6';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn a stored policy into the set of hidden column names
+ */
+export function compilePolicy(policy) {
+  if (!policy) return null;
+
+  let hiddenFields;
+  if (policy.allow) {
+    hiddenFields = Object.keys(REDACTABLE_FIELDS).filter(f => !policy.allow.includes(f));
+  } else {
+    hiddenFields = policy.deny || [];
+  }
+
+  const hiddenKeys = new Set(hiddenFields.flatMap(f => REDACTABLE_FIELDS[f]));
+  const coordinatePrecision = Number.isInteger(policy.coordinate_precision) ? policy.coordinate_precision : null;
+
+  if (hiddenKeys.size === 0 && coordinatePrecision === null) {
+    return null;
+  }
+
+  return { hiddenFields, hiddenKeys, coordinatePrecision };
+}
+
+/**
+ * Redact one flat row (a voter record or a route stop)
+ */
+function redactRow(row, compiled) {
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (compiled.hiddenKeys.has(key)) continue;
+
+    if (compiled.coordinatePrecision !== null && COORDINATE_KEYS.has(key) && value !== null && value !== undefined) {
+      const factor = 10 ** compiled.coordinatePrecision;
+      result[key] = Math.round(parseFloat(value) * factor) / factor;
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Voter-shaped objects carry an ncid (voter rows) or a household_id (route stops)
+ */
+function isVoterRecord(value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    && ('ncid' in value || 'household_id' in value);
+}
+
+/**
+ * Walk a JSON payload and redact every voter record in it
+ */
+function redactPayload(value, compiled) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactPayload(item, compiled));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const source = isVoterRecord(value) ? redactRow(value, compiled) : value;
+    const result = {};
+    for (const [key, child] of Object.entries(source)) {
+      result[key] = redactPayload(child, compiled);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Redact rows for a non-JSON output (CSV, PDF, GeoJSON properties)
+ */
+export function redactRows(req, rows) {
+  if (!req.redaction) return rows;
+  return rows.map(row => redactRow(row, req.redaction));
+}
+
+/**
+ * Whether the caller's policy hides a field (e.g. to drop a PDF column)
+ */
+export function isFieldHidden(req, field) {
+  return !!req.redaction && req.redaction.hiddenFields.includes(field);
+}
+
+/**
+ * Reject a query config that filters on a hidden field: which voters match (and how many) would
+ * give the field away. Throws QueryConfigError (400), like sorting on a hidden field.
+ */
+export function rejectHiddenFilters(req, config) {
+  const hidden = filteredFields(config).filter(field => isFieldHidden(req, field));
+  if (hidden.length > 0) {
+    throw new QueryConfigError(`Can't filter on ${hidden.join(', ')}: hidden by your role's redaction policy`);
+  }
+}
+
+/**
+ * Load the caller's redaction policy and redact every JSON response (must run after authMiddleware)
+ */
+export async function applyRedactionPolicy(req, res, next) {
+  try {
+    const row = await db.oneOrNone(
+      'SELECT policy FROM redaction_policies WHERE organization = $1 AND role = $2',
+      [req.organization, req.userRole]
+    );
+
+    req.redaction = compilePolicy(row ? row.policy : null);
+
+    if (req.redaction) {
+      const json = res.json.bind(res);
+      res.json = body => json(res.statusCode >= 400 ? body : redactPayload(body, req.redaction));
+    }
+
+    next();
+  } catch (err) {
+    console.error('[Redaction Policy Error]', err);
+    res.status(500).json({ error: 'Could not load redaction policy' });
+  }
+}
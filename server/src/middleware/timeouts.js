@@ -0,0 +1,78 @@
+/**
+ * Per-role statement timeouts
+ *
+ * Heavy routes (queries, stats, exports) run their SQL through req.db, which has the usual query
+ * methods but runs each query in its own short transaction with SET LOCAL statement_timeout for
+ * the caller's role. A connection is only held while a query runs (never for a whole request or
+ * stream), and a runaway query is cancelled by PostgreSQL and the route answers 408.
+ *
+ * Override a role's limit with STATEMENT_TIMEOUT_MS_<ROLE> (e.g. STATEMENT_TIMEOUT_MS_VIEWER=5000).
+ */
+
+import { db } from '../config/database.js';
+
+const DEFAULT_TIMEOUTS_MS = {
+  admin: 60000,
+  organizer: 30000,
+  canvasser: 10000,
+  phonebank: 10000,
+  viewer: 10000,
+};
+
+// PostgreSQL "query_canceled" (raised when statement_timeout fires)
+const QUERY_CANCELED = '57014';
+
+/**
+ * Statement timeout for a role, in milliseconds
+ */
+export function statementTimeoutFor(role) {
+  const override = parseInt(process.env[`STATEMENT_TIMEOUT_MS_${String(role).toUpperCase()}`]);
+  if (Number.isInteger(override) && override > 0) return override;
+  return DEFAULT_TIMEOUTS_MS[role] || DEFAULT_TIMEOUTS_MS.viewer;
+}
+
+const QUERY_METHODS = ['none', 'one', 'oneOrNone', 'many', 'manyOrNone', 'any', 'result'];
+
+/**
+ * Database handle whose queries (and transactions) run with a statement timeout
+ */
+export function timedDb(timeoutMs) {
+  const tx = callback => db.tx('statement-timeout', async t => {
+    await t.none('SET LOCAL statement_timeout = $1', [timeoutMs]);
+    return callback(t);
+  });
+
+  const handle = { tx };
+  for (const method of QUERY_METHODS) {
+    handle[method] = (query, values) => tx(t => t[method](query, values));
+  }
+  return handle;
+}
+
+/**
+ * Set req.db to a handle with the caller's statement timeout (must run after authMiddleware)
+ */
+export function statementTimeout(req, res, next) {
+  req.statementTimeoutMs = statementTimeoutFor(req.userRole);
+  req.db = timedDb(req.statementTimeoutMs);
+  next();
+}
+
+/**
+ * Whether an error is a statement cancelled by the timeout
+ */
+export function isStatementTimeout(err) {
+  return !!err && err.code === QUERY_CANCELED;
+}
+
+/**
+ * Structured timeout response
+ */
+export function sendStatementTimeout(req, res) {
+  return res.status(408).json({
+    error: 'Query took too long and was cancelled',
+    code: 'STATEMENT_TIMEOUT',
+    timeout_ms: req.statementTimeoutMs,
+    hint: 'Narrow the filters, or check the query with POST /api/query/explain',
+  });
+}
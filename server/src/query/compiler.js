@@ -0,0 +1,361 @@
+/**
+ * Query Compiler
+ * Turns a query builder config (flat filters and/or a filter tree) into SQL conditions over voters.
+ * Every route that selects voters from a config - queries, list creation, exports, stats - goes
+ * through here, so a config always produces the same voter set.
+ */
+
+import { QueryConfigError } from './errors.js';
+import { GEO_FILTER_KEYS, buildGeoConditions } from './geo.js';
+import { MEMBERSHIP_FILTER_KEYS, buildMembershipConditions } from './membership.js';
+import { HISTORY_PATTERN_KEYS, buildHistoryPatternConditions } from './history.js';
+
+export { QueryConfigError };
+
+const MAX_FILTER_DEPTH = 8;
+const MAX_FILTER_NODES = 200;
+
+// Keys a filter leaf may contain (everything else in a config is paging/sorting/options)
+export const FILTER_KEYS = [
+  'county', 'precincts', 'congressional_district', 'nc_senate_district', 'nc_house_district',
+  'municipalities', 'zip_codes', 'age_min', 'age_max', 'sex', 'race', 'ethnicity', 'party',
+  'registration_status', 'registered_after', 'registered_before', 'turnout_min', 'turnout_max',
+  'partisan_min', 'partisan_max', 'search', 'bounds',
+  'voted_in', 'did_not_vote_in', 'primary_party', 'voting_method', 'min_votes',
+  ...GEO_FILTER_KEYS,
+  ...MEMBERSHIP_FILTER_KEYS,
+  ...HISTORY_PATTERN_KEYS,
+];
+
+// Redactable voter fields each filter key matches on (see middleware/redaction.js)
+const FILTER_FIELDS = {
+  zip_codes: ['zip_code'],
+  age_min: ['age'],
+  age_max: ['age'],
+  sex: ['sex'],
+  race: ['race'],
+  ethnicity: ['ethnicity'],
+  party: ['party'],
+  registered_after: ['registration_date'],
+  registered_before: ['registration_date'],
+  turnout_min: ['turnout_score'],
+  turnout_max: ['turnout_score'],
+  partisan_min: ['partisan_score'],
+  partisan_max: ['partisan_score'],
+  search: ['first_name', 'middle_name', 'last_name', 'street_address'],
+  bounds: ['coordinates'],
+  within_polygon: ['coordinates'],
+  within_radius: ['coordinates'],
+};
+
+const GROUP_KEYS = ['and', 'or', 'not'];
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+const hasItems = value => Array.isArray(value) && value.length > 0;
+
+/**
+ * Redactable fields a config filters on, in the flat shorthand or anywhere in the filter tree
+ * (call after buildWhereClause, which rejects malformed trees)
+ * @returns {string[]}
+ */
+export function filteredFields(config) {
+  const fields = new Set();
+  const visitLeaf = leaf => {
+    for (const [key, value] of Object.entries(leaf)) {
+      if (FILTER_FIELDS[key] && hasValue(value) && !(Array.isArray(value) && value.length === 0)) {
+        FILTER_FIELDS[key].forEach(field => fields.add(field));
+      }
+    }
+  };
+  const visit = node => {
+    const op = GROUP_KEYS.find(key => key in node);
+    if (!op) return visitLeaf(node);
+    [].concat(node[op]).forEach(visit);
+  };
+
+  visitLeaf(config);
+  if (config.filter) visit(config.filter);
+  return [...fields];
+}
+
+/**
+ * Build the conditions for one filter leaf (a flat config fragment; all conditions are ANDed)
+ * @param {object} leaf
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @param {object} context - { organization } for filters over the organization's own work product
+ */
+function buildLeafConditions(leaf, param, context) {
+  const conditions = [];
+
+  const unknown = Object.keys(leaf).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new QueryConfigError(`Unknown filter: ${unknown.join(', ')}`);
+  }
+
+  // Geography filters
+  if (hasItems(leaf.county)) {
+    conditions.push(`county_name = ANY(${param(leaf.county)})`);
+  }
+
+  if (hasItems(leaf.precincts)) {
+    conditions.push(`precinct_name = ANY(${param(leaf.precincts)})`);
+  }
+
+  if (hasValue(leaf.congressional_district)) {
+    conditions.push(`congressional_district = ${param(leaf.congressional_district)}`);
+  }
+
+  if (hasValue(leaf.nc_senate_district)) {
+    conditions.push(`nc_senate_district = ${param(leaf.nc_senate_district)}`);
+  }
+
+  if (hasValue(leaf.nc_house_district)) {
+    conditions.push(`nc_house_district = ${param(leaf.nc_house_district)}`);
+  }
+
+  if (hasItems(leaf.municipalities)) {
+    conditions.push(`municipality = ANY(${param(leaf.municipalities)})`);
+  }
+
+  if (hasItems(leaf.zip_codes)) {
+    conditions.push(`zip_code = ANY(${param(leaf.zip_codes)})`);
+  }
+
+  // Demographics filters
+  if (hasValue(leaf.age_min)) {
+    conditions.push(`age >= ${param(leaf.age_min)}`);
+  }
+
+  if (hasValue(leaf.age_max)) {
+    conditions.push(`age <= ${param(leaf.age_max)}`);
+  }
+
+  if (hasItems(leaf.sex)) {
+    conditions.push(`sex = ANY(${param(leaf.sex)})`);
+  }
+
+  if (hasItems(leaf.race)) {
+    conditions.push(`race = ANY(${param(leaf.race)})`);
+  }
+
+  if (hasItems(leaf.ethnicity)) {
+    conditions.push(`ethnicity = ANY(${param(leaf.ethnicity)})`);
+  }
+
+  // Party filters
+  if (hasItems(leaf.party)) {
+    conditions.push(`party = ANY(${param(leaf.party)})`);
+  }
+
+  // Registration filters
+  if (hasValue(leaf.registration_status)) {
+    conditions.push(`registration_status = ${param(leaf.registration_status)}`);
+  }
+
+  if (hasValue(leaf.registered_after)) {
+    conditions.push(`registration_date >= ${param(leaf.registered_after)}`);
+  }
+
+  if (hasValue(leaf.registered_before)) {
+    conditions.push(`registration_date <= ${param(leaf.registered_before)}`);
+  }
+
+  // Turnout score filters
+  if (hasValue(leaf.turnout_min)) {
+    conditions.push(`turnout_score >= ${param(leaf.turnout_min)}`);
+  }
+
+  if (hasValue(leaf.turnout_max)) {
+    conditions.push(`turnout_score <= ${param(leaf.turnout_max)}`);
+  }
+
+  // Partisan score filters
+  if (hasValue(leaf.partisan_min)) {
+    conditions.push(`partisan_score >= ${param(leaf.partisan_min)}`);
+  }
+
+  if (hasValue(leaf.partisan_max)) {
+    conditions.push(`partisan_score <= ${param(leaf.partisan_max)}`);
+  }
+
+  // Name/address search
+  if (hasValue(leaf.search)) {
+    const pattern = param(`%${leaf.search}%`);
+    conditions.push(`(full_name ILIKE ${pattern} OR street_address ILIKE ${pattern})`);
+  }
+
+  // Bounding box for map queries
+  if (leaf.bounds) {
+    const { sw_lat, sw_lng, ne_lat, ne_lng } = leaf.bounds;
+    conditions.push(`(
+      location IS NOT NULL AND
+      ST_Within(
+        location::geometry,
+        ST_MakeEnvelope(${param(sw_lng)}, ${param(sw_lat)}, ${param(ne_lng)}, ${param(ne_lat)}, 4326)
+      )
+    )`);
+  }
+
+  // Polygon, radius, turf and precinct-boundary filters
+  conditions.push(...buildGeoConditions(leaf, param, context));
+
+  // List membership and contact history
+  conditions.push(...buildMembershipConditions(leaf, param, context));
+
+  // Vote history filters
+  const electionMatch = election => (election.type
+    ? `(election_date = ${param(election.date)} AND election_type = ${param(election.type)})`
+    : `election_date = ${param(election.date)}`);
+
+  // Voted in specific elections
+  if (hasItems(leaf.voted_in)) {
+    conditions.push(`ncid IN (
+      SELECT DISTINCT ncid FROM vote_history
+      WHERE ${leaf.voted_in.map(electionMatch).join(' OR ')}
+    )`);
+  }
+
+  // Did NOT vote in specific elections
+  if (hasItems(leaf.did_not_vote_in)) {
+    conditions.push(`ncid NOT IN (
+      SELECT DISTINCT ncid FROM vote_history
+      WHERE ${leaf.did_not_vote_in.map(electionMatch).join(' OR ')}
+    )`);
+  }
+
+  // Voted in primary with specific party
+  if (hasValue(leaf.primary_party)) {
+    conditions.push(`ncid IN (
+      SELECT DISTINCT ncid FROM vote_history
+      WHERE election_type = 'PRIMARY' AND party_voted = ${param(leaf.primary_party)}
+    )`);
+  }
+
+  // Voting method filter
+  if (hasItems(leaf.voting_method)) {
+    conditions.push(`ncid IN (
+      SELECT DISTINCT ncid FROM vote_history
+      WHERE voting_method = ANY(${param(leaf.voting_method)})
+    )`);
+  }
+
+  // Minimum vote count
+  if (hasValue(leaf.min_votes)) {
+    conditions.push(`ncid IN (
+      SELECT ncid FROM vote_history
+      GROUP BY ncid
+      HAVING COUNT(*) >= ${param(leaf.min_votes)}
+    )`);
+  }
+
+  // Vote-history patterns over election windows
+  conditions.push(...buildHistoryPatternConditions(leaf, param));
+
+  return conditions;
+}
+
+/**
+ * Compile a filter tree node to SQL (null when the node places no constraint)
+ *
+ * A node is a group - { and: [nodes] }, { or: [nodes] }, { not: node } - or a leaf:
+ * a flat config fragment such as { party: ['DEM'], age_max: 34 }.
+ */
+function buildFilterNode(node, param, state, depth = 0) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new QueryConfigError('Each filter must be an object');
+  }
+
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new QueryConfigError(`Filters can be nested at most ${MAX_FILTER_DEPTH} levels deep`);
+  }
+
+  state.nodes++;
+  if (state.nodes > MAX_FILTER_NODES) {
+    throw new QueryConfigError(`Filters can have at most ${MAX_FILTER_NODES} groups and conditions`);
+  }
+
+  const groupKeys = Object.keys(node).filter(key => GROUP_KEYS.includes(key));
+
+  if (groupKeys.length === 0) {
+    if (hasValue(node.registration_status)) {
+      state.mentionsRegistrationStatus = true;
+    }
+    const conditions = buildLeafConditions(node, param, state);
+    return conditions.length > 0 ? `(${conditions.join(' AND ')})` : null;
+  }
+
+  if (groupKeys.length > 1 || Object.keys(node).length > 1) {
+    throw new QueryConfigError('A filter group must have exactly one of "and", "or" or "not"');
+  }
+
+  const [op] = groupKeys;
+
+  if (op === 'not') {
+    const inner = buildFilterNode(node.not, param, state, depth + 1);
+    // NULL-safe: voters with an unknown value for the inner condition count as "not matching"
+    return inner ? `NOT COALESCE(${inner}, FALSE)` : null;
+  }
+
+  if (!Array.isArray(node[op])) {
+    throw new QueryConfigError(`"${op}" must be an array of filters`);
+  }
+
+  const parts = node[op]
+    .map(child => buildFilterNode(child, param, state, depth + 1))
+    .filter(Boolean);
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return `(${parts.join(op === 'and' ? ' AND ' : ' OR ')})`;
+}
+
+/**
+ * Build WHERE clause from query configuration
+ *
+ * Accepts the flat shorthand ({ party: ['DEM'], age_max: 34, ... }), a filter tree in
+ * config.filter, or both (ANDed). Only active registrations are included unless
+ * registration_status is set somewhere in the config (an empty value keeps the default).
+ *
+ * Conditions are written against an unaliased FROM voters.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {number} [options.startParamIndex=1] - First $n placeholder to use
+ * @param {string} [options.organization] - Caller's organization (needed for turf, list and contact filters)
+ * @returns {{ conditions: string[], params: any[], paramIndex: number }}
+ */
+export function buildWhereClause(config, { startParamIndex = 1, organization = null } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new QueryConfigError('Query config must be an object');
+  }
+
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${startParamIndex + params.length - 1}`;
+  };
+  const state = { nodes: 0, mentionsRegistrationStatus: false, organization };
+  const conditions = [];
+
+  // Flat shorthand: every top-level filter key is one leaf
+  const flat = {};
+  for (const key of FILTER_KEYS) {
+    if (key in config) flat[key] = config[key];
+  }
+  const flatCondition = buildFilterNode(flat, param, state);
+  if (flatCondition) conditions.push(flatCondition);
+
+  if (config.filter) {
+    const treeCondition = buildFilterNode(config.filter, param, state);
+    if (treeCondition) conditions.push(treeCondition);
+  }
+
+  if (!state.mentionsRegistrationStatus) {
+    // Default to active voters
+    conditions.push(`registration_status = 'ACTIVE'`);
+  }
+
+  return { conditions, params, paramIndex: startParamIndex + params.length };
+}
+
+export default buildWhereClause;
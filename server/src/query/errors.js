@@ -0,0 +1,6 @@
+/**
+ * Query config errors are the caller's fault and map to 400 responses
+ */
+export class QueryConfigError extends Error {}
+
+export default QueryConfigError;
@@ -0,0 +1,110 @@
+/**
+ * Query cost warnings
+ *
+ * Reads a config and the planner's JSON plan for it (EXPLAIN, not ANALYZE, so nothing runs)
+ * and flags the shapes that tie up connections on a statewide file.
+ */
+
+import { FILTER_KEYS } from './compiler.js';
+
+const HIGH_COST = 1000000;
+const LARGE_RESULT = 1000000;
+const MIN_SEARCH_LENGTH = 3;
+
+/**
+ * Every filter leaf in a config: the flat top-level filters plus the leaves of config.filter
+ */
+function filterLeaves(config) {
+  const leaves = [];
+
+  const flat = {};
+  for (const key of FILTER_KEYS) {
+    if (key in config) flat[key] = config[key];
+  }
+  leaves.push(flat);
+
+  const walk = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node.and)) node.and.forEach(walk);
+    else if (Array.isArray(node.or)) node.or.forEach(walk);
+    else if (node.not) walk(node.not);
+    else leaves.push(node);
+  };
+  walk(config.filter);
+
+  return leaves;
+}
+
+/**
+ * Every node in a plan tree
+ */
+function planNodes(plan) {
+  return [plan, ...(plan.Plans || []).flatMap(planNodes)];
+}
+
+/**
+ * Warnings for a compiled query
+ * @param {object} config - Query config
+ * @param {object} plan - Root "Plan" from EXPLAIN (FORMAT JSON)
+ * @param {object} options - { timeoutMs } for the caller's role
+ * @returns {Array<{ code: string, message: string }>}
+ */
+export function explainWarnings(config, plan, { timeoutMs }) {
+  const warnings = [];
+  const leaves = filterLeaves(config);
+  const nodes = planNodes(plan);
+
+  for (const leaf of leaves) {
+    if (typeof leaf.search !== 'string' || !leaf.search) continue;
+
+    if (/[%_]/.test(leaf.search)) {
+      warnings.push({
+        code: 'SEARCH_WILDCARD',
+        message: `search "${leaf.search}" contains % or _ wildcards; every voter's name and address is compared`,
+      });
+    } else if (leaf.search.trim().length < MIN_SEARCH_LENGTH) {
+      warnings.push({
+        code: 'SEARCH_TOO_SHORT',
+        message: `search "${leaf.search}" is shorter than ${MIN_SEARCH_LENGTH} characters and can't use the name index`,
+      });
+    }
+  }
+
+  const negatedHistory = leaves.filter(leaf => Array.isArray(leaf.did_not_vote_in) && leaf.did_not_vote_in.length > 0).length;
+  if (negatedHistory > 1) {
+    warnings.push({
+      code: 'MANY_NOT_IN_HISTORY',
+      message: `${negatedHistory} did_not_vote_in filters each exclude against all of vote_history; combine them into one`,
+    });
+  }
+
+  if (nodes.some(node => node['Node Type'] === 'Seq Scan' && node['Relation Name'] === 'voters')) {
+    warnings.push({
+      code: 'FULL_SCAN_VOTERS',
+      message: 'Reads the whole voters table; add a geographic filter (county, district, precinct) to narrow it',
+    });
+  }
+
+  if (nodes.some(node => node['Node Type'] === 'Seq Scan' && node['Relation Name'] === 'vote_history')) {
+    warnings.push({
+      code: 'FULL_SCAN_HISTORY',
+      message: 'Reads all of vote_history; vote-history filters over a narrower set of voters are much cheaper',
+    });
+  }
+
+  if (plan['Total Cost'] > HIGH_COST) {
+    warnings.push({
+      code: 'HIGH_COST',
+      message: `Planner cost ${Math.round(plan['Total Cost']).toLocaleString()} is high; this query may hit your ${timeoutMs / 1000}s time limit`,
+    });
+  }
+
+  if (plan['Plan Rows'] > LARGE_RESULT) {
+    warnings.push({
+      code: 'LARGE_RESULT',
+      message: `About ${Math.round(plan['Plan Rows']).toLocaleString()} voters match; page with cursor or use /api/query/stream`,
+    });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,122 @@
+/**
+ * Facet counts for a query's universe
+ *
+ * Every requested facet is counted in one pass over the matching voters (GROUP BY GROUPING SETS),
+ * so the composition of a universe comes back with its first page of results.
+ */
+
+import { QueryConfigError } from './errors.js';
+
+// Facet name -> bucket expression over voters (NULLs land in 'Unknown')
+const FACETS = {
+  party: "COALESCE(party, 'Unknown')",
+  age_band: `CASE
+    WHEN age IS NULL THEN 'Unknown'
+    WHEN age < 25 THEN '18-24'
+    WHEN age < 35 THEN '25-34'
+    WHEN age < 45 THEN '35-44'
+    WHEN age < 55 THEN '45-54'
+    WHEN age < 65 THEN '55-64'
+    ELSE '65+'
+  END`,
+  sex: "COALESCE(sex, 'Unknown')",
+  race: "COALESCE(race, 'Unknown')",
+  precinct: "COALESCE(precinct_name, 'Unknown')",
+  municipality: "COALESCE(municipality, 'Unknown')",
+  turnout_bucket: `CASE
+    WHEN turnout_score IS NULL THEN 'Unknown'
+    WHEN turnout_score = 0 THEN '0%'
+    WHEN turnout_score <= 25 THEN '1-25%'
+    WHEN turnout_score <= 50 THEN '26-50%'
+    WHEN turnout_score <= 75 THEN '51-75%'
+    ELSE '76-100%'
+  END`,
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+// Redactable voter field each facet reveals (a role that can't see the field doesn't get the facet)
+export const FACET_FIELDS = {
+  party: 'party',
+  age_band: 'age',
+  sex: 'sex',
+  race: 'race',
+  turnout_bucket: 'turnout_score',
+};
+
+// Facets whose buckets have a natural order; the rest are sorted by count
+const ORDERED_FACETS = ['age_band', 'turnout_bucket'];
+
+const DEFAULT_FACET_LIMIT = 25;
+const MAX_FACET_LIMIT = 200;
+
+/**
+ * Requested facets: true for all of them, or a list of names
+ */
+export function parseFacets(option) {
+  if (option === true || option === 'true') return FACET_NAMES;
+
+  const names = Array.isArray(option) ? option : String(option).split(',').map(name => name.trim());
+  const unknown = names.filter(name => !FACETS[name]);
+  if (unknown.length > 0) {
+    throw new QueryConfigError(`Unknown facet: ${unknown.join(', ')}. Use ${FACET_NAMES.join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Maximum buckets returned per facet (the rest are summed into other_count)
+ */
+export function parseFacetLimit(value) {
+  if (value === undefined || value === null) return DEFAULT_FACET_LIMIT;
+  const limit = parseInt(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FACET_LIMIT) {
+    throw new QueryConfigError(`facet_limit must be a whole number from 1 to ${MAX_FACET_LIMIT}`);
+  }
+  return limit;
+}
+
+/**
+ * SQL counting every facet over the voters a WHERE clause matches
+ */
+export function facetQuery(names, whereClause) {
+  return `
+    SELECT
+      ${names.map(name => `${name}, GROUPING(${name}) AS grouped_${name}`).join(',\n      ')},
+      COUNT(*) AS count
+    FROM (
+      SELECT ${names.map(name => `${FACETS[name]} AS ${name}`).join(', ')}
+      FROM voters
+      ${whereClause}
+    ) facet_voters
+    GROUP BY GROUPING SETS (${names.map(name => `(${name})`).join(', ')})
+  `;
+}
+
+/**
+ * Shape facetQuery rows as { facet: { buckets: [{ value, count }], other_count } }
+ */
+export function groupFacets(rows, names, limit) {
+  const facets = {};
+
+  for (const name of names) {
+    // GROUPING() is 0 for the column a row was grouped by
+    const buckets = rows
+      .filter(row => row[`grouped_${name}`] === 0)
+      .map(row => ({ value: row[name], count: parseInt(row.count) }));
+
+    if (ORDERED_FACETS.includes(name)) {
+      buckets.sort((a, b) => a.value.localeCompare(b.value, 'en', { numeric: true }));
+    } else {
+      buckets.sort((a, b) => b.count - a.count);
+    }
+
+    const shown = buckets.slice(0, limit);
+    facets[name] = {
+      buckets: shown,
+      other_count: buckets.slice(limit).reduce((sum, bucket) => sum + bucket.count, 0),
+    };
+  }
+
+  return facets;
+}
@@ -0,0 +1,128 @@
+/**
+ * Geographic query filters (PostGIS)
+ *
+ *   within_polygon      - GeoJSON Polygon/MultiPolygon geometry (or a Feature wrapping one)
+ *   within_radius       - { lat, lng, meters } or { lat, lng, miles }
+ *   turf_ids            - voters inside these turfs (boundary, or assigned voters for auto-cut turfs)
+ *   precinct_boundaries - voters inside these precinct boundaries (precincts.id, or
+ *                         { county_code, precinct_code })
+ *
+ * Conditions reference the outer table as "voters" and must be compiled against FROM voters.
+ */
+
+import { QueryConfigError } from './errors.js';
+
+export const GEO_FILTER_KEYS = ['within_polygon', 'within_radius', 'turf_ids', 'precinct_boundaries'];
+
+const METERS_PER_MILE = 1609.344;
+const MAX_RADIUS_METERS = 80000;
+
+function validCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Normalize a polygon filter to a GeoJSON geometry string
+ */
+function polygonGeometry(value) {
+  const geometry = value && value.type === 'Feature' ? value.geometry : value;
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    throw new QueryConfigError('within_polygon must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const rings = geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates.flat();
+  const valid = rings.length > 0 && rings.every(ring => Array.isArray(ring) && ring.length >= 4
+    && ring.every(point => Array.isArray(point) && validCoordinate(point[1], point[0])));
+
+  if (!valid) {
+    throw new QueryConfigError('within_polygon has invalid coordinates (rings need 4+ [lng, lat] points)');
+  }
+
+  return JSON.stringify({ type: geometry.type, coordinates: geometry.coordinates });
+}
+
+/**
+ * Build conditions for the geographic filters in one leaf
+ * @param {object} leaf
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @param {object} context - { organization }
+ */
+export function buildGeoConditions(leaf, param, context) {
+  const conditions = [];
+
+  if (leaf.within_polygon) {
+    conditions.push(`(
+      voters.location IS NOT NULL AND
+      ST_Intersects(voters.location, ST_SetSRID(ST_GeomFromGeoJSON(${param(polygonGeometry(leaf.within_polygon))}), 4326)::geography)
+    )`);
+  }
+
+  if (leaf.within_radius) {
+    const lat = parseFloat(leaf.within_radius.lat);
+    const lng = parseFloat(leaf.within_radius.lng);
+    const meters = leaf.within_radius.miles !== undefined
+      ? parseFloat(leaf.within_radius.miles) * METERS_PER_MILE
+      : parseFloat(leaf.within_radius.meters);
+
+    if (!validCoordinate(lat, lng)) {
+      throw new QueryConfigError('within_radius needs a valid lat and lng');
+    }
+
+    if (!Number.isFinite(meters) || meters <= 0 || meters > MAX_RADIUS_METERS) {
+      throw new QueryConfigError(`within_radius needs meters or miles, up to ${MAX_RADIUS_METERS / 1000} km`);
+    }
+
+    conditions.push(`ST_DWithin(
+      voters.location,
+      ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography,
+      ${param(meters)}
+    )`);
+  }
+
+  if (Array.isArray(leaf.turf_ids) && leaf.turf_ids.length > 0) {
+    if (!context.organization) {
+      throw new QueryConfigError('turf_ids filters need an organization');
+    }
+
+    const ids = leaf.turf_ids.map(id => parseInt(id));
+    if (ids.some(id => !Number.isInteger(id))) {
+      throw new QueryConfigError('turf_ids must be turf ids');
+    }
+
+    conditions.push(`EXISTS (
+      SELECT 1 FROM turfs qt
+      WHERE qt.id = ANY(${param(ids)}) AND qt.organization = ${param(context.organization)}
+        AND (
+          (qt.boundary IS NOT NULL AND ST_Intersects(qt.boundary, voters.location))
+          OR EXISTS (SELECT 1 FROM list_voters qlv WHERE qlv.turf_id = qt.id AND qlv.ncid = voters.ncid)
+        )
+    )`);
+  }
+
+  if (Array.isArray(leaf.precinct_boundaries) && leaf.precinct_boundaries.length > 0) {
+    const matches = leaf.precinct_boundaries.map(precinct => {
+      if (typeof precinct === 'object' && precinct !== null) {
+        if (!precinct.county_code || !precinct.precinct_code) {
+          throw new QueryConfigError('precinct_boundaries entries need county_code and precinct_code');
+        }
+        return `(qp.county_code = ${param(precinct.county_code)} AND qp.precinct_code = ${param(precinct.precinct_code)})`;
+      }
+
+      const id = parseInt(precinct);
+      if (!Number.isInteger(id)) {
+        throw new QueryConfigError('precinct_boundaries entries must be precinct ids or { county_code, precinct_code }');
+      }
+      return `qp.id = ${param(id)}`;
+    });
+
+    conditions.push(`EXISTS (
+      SELECT 1 FROM precincts qp
+      WHERE (${matches.join(' OR ')})
+        AND qp.boundary IS NOT NULL
+        AND ST_Intersects(qp.boundary, voters.location)
+    )`);
+  }
+
+  return conditions;
+}
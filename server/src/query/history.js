@@ -0,0 +1,196 @@
+/**
+ * Vote-history pattern filters
+ *
+ * Patterns are evaluated against a set of elections picked from the elections table
+ * (an "election selector"):
+ *
+ *   { type: 'GENERAL' | ['GENERAL', 'PRIMARY'], cycle: 'presidential' | 'midterm' | 'odd_year',
+ *     years: [2020, 2024], since: '2016-01-01', until: '2024-12-31', last: 4 }
+ *
+ * "last" keeps only the most recent N matching elections. Filters:
+ *
+ *   history_count         - { elections: selector, min: 3, max: 4 } (min/max may be 'all')
+ *   voted_all_of          - selector: voted in every selected election
+ *   voted_none_of         - selector: voted in none of the selected elections
+ *   first_voted_since     - '2022-01-01': earliest recorded vote is on/after the date
+ *   always_voting_method  - 'EARLY' | ['EARLY', 'ABSENTEE'] | { methods, elections: selector }:
+ *                           voted at least once, and every (selected) vote used these methods
+ */
+
+import { QueryConfigError } from './errors.js';
+
+export const HISTORY_PATTERN_KEYS = [
+  'history_count',
+  'voted_all_of',
+  'voted_none_of',
+  'first_voted_since',
+  'always_voting_method',
+];
+
+const ELECTION_TYPES = ['GENERAL', 'PRIMARY', 'MUNICIPAL', 'SPECIAL', 'RUNOFF', 'OTHER'];
+const CYCLES = {
+  presidential: 'MOD(EXTRACT(YEAR FROM e.election_date)::int, 4) = 0',
+  midterm: 'MOD(EXTRACT(YEAR FROM e.election_date)::int, 4) = 2',
+  odd_year: 'MOD(EXTRACT(YEAR FROM e.election_date)::int, 2) = 1',
+};
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const asArray = value => (Array.isArray(value) ? value : [value]);
+
+function checkDate(value, name) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    throw new QueryConfigError(`${name} must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+/**
+ * Compile an election selector to a subquery returning (election_date, election_type)
+ */
+function electionSelector(selector, param) {
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    throw new QueryConfigError('Election selector must be an object like { "type": "GENERAL", "last": 4 }');
+  }
+
+  const conditions = [];
+
+  if (selector.type !== undefined) {
+    const types = asArray(selector.type).map(t => String(t).toUpperCase());
+    const unknown = types.filter(t => !ELECTION_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw new QueryConfigError(`Unknown election type: ${unknown.join(', ')}. Use ${ELECTION_TYPES.join(', ')}`);
+    }
+    conditions.push(`e.election_type = ANY(${param(types)}::text[])`);
+  }
+
+  if (selector.cycle !== undefined) {
+    if (!CYCLES[selector.cycle]) {
+      throw new QueryConfigError(`cycle must be one of: ${Object.keys(CYCLES).join(', ')}`);
+    }
+    conditions.push(CYCLES[selector.cycle]);
+  }
+
+  if (selector.years !== undefined) {
+    const years = asArray(selector.years).map(y => parseInt(y));
+    if (years.some(y => !Number.isInteger(y))) {
+      throw new QueryConfigError('years must be a list of years');
+    }
+    conditions.push(`EXTRACT(YEAR FROM e.election_date)::int = ANY(${param(years)}::int[])`);
+  }
+
+  if (selector.since !== undefined) {
+    conditions.push(`e.election_date >= ${param(checkDate(selector.since, 'since'))}`);
+  }
+
+  if (selector.until !== undefined) {
+    conditions.push(`e.election_date <= ${param(checkDate(selector.until, 'until'))}`);
+  }
+
+  let limit = '';
+  if (selector.last !== undefined) {
+    const last = parseInt(selector.last);
+    if (!Number.isInteger(last) || last < 1 || last > 50) {
+      throw new QueryConfigError('last must be a whole number from 1 to 50');
+    }
+    limit = `LIMIT ${param(last)}`;
+  }
+
+  return `(
+    SELECT e.election_date, e.election_type
+    FROM elections e
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY e.election_date DESC
+    ${limit}
+  )`;
+}
+
+/**
+ * Number of selected elections the voter took part in
+ */
+function votesInSelection(selection) {
+  return `(
+    SELECT COUNT(*) FROM vote_history hvh
+    JOIN ${selection} hsel ON hvh.election_date = hsel.election_date AND hvh.election_type = hsel.election_type
+    WHERE hvh.ncid = voters.ncid
+  )`;
+}
+
+/**
+ * Bound for history_count: a number, or 'all' (every selected election)
+ */
+function countBound(value, name, selection, param) {
+  if (value === 'all') {
+    return `(SELECT COUNT(*) FROM ${selection} hall)`;
+  }
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new QueryConfigError(`history_count.${name} must be a whole number or "all"`);
+  }
+  return param(number);
+}
+
+/**
+ * Build conditions for the vote-history pattern filters in one leaf
+ * @param {object} leaf
+ * @param {function} param - Registers a value and returns its $n placeholder
+ */
+export function buildHistoryPatternConditions(leaf, param) {
+  const conditions = [];
+
+  if (leaf.history_count) {
+    const { elections, min, max } = leaf.history_count;
+    if (min === undefined && max === undefined) {
+      throw new QueryConfigError('history_count needs min and/or max');
+    }
+
+    const selection = electionSelector(elections || {}, param);
+    const votes = votesInSelection(selection);
+    if (min !== undefined) conditions.push(`${votes} >= ${countBound(min, 'min', selection, param)}`);
+    if (max !== undefined) conditions.push(`${votes} <= ${countBound(max, 'max', selection, param)}`);
+  }
+
+  if (leaf.voted_all_of) {
+    const selection = electionSelector(leaf.voted_all_of, param);
+    // An empty selection matches nobody rather than everybody
+    conditions.push(`(
+      ${votesInSelection(selection)} = (SELECT COUNT(*) FROM ${selection} hall)
+      AND EXISTS (SELECT 1 FROM ${selection} hany)
+    )`);
+  }
+
+  if (leaf.voted_none_of) {
+    const selection = electionSelector(leaf.voted_none_of, param);
+    conditions.push(`${votesInSelection(selection)} = 0`);
+  }
+
+  if (leaf.first_voted_since) {
+    conditions.push(`(
+      SELECT MIN(hvh.election_date) FROM vote_history hvh WHERE hvh.ncid = voters.ncid
+    ) >= ${param(checkDate(leaf.first_voted_since, 'first_voted_since'))}`);
+  }
+
+  if (leaf.always_voting_method) {
+    const spec = typeof leaf.always_voting_method === 'object' && !Array.isArray(leaf.always_voting_method)
+      ? leaf.always_voting_method
+      : { methods: leaf.always_voting_method };
+
+    if (!spec.methods || asArray(spec.methods).length === 0) {
+      throw new QueryConfigError('always_voting_method needs one or more methods');
+    }
+
+    const methods = asArray(spec.methods).map(m => String(m).toUpperCase());
+    const scope = spec.elections
+      ? `JOIN ${electionSelector(spec.elections, param)} hsel
+          ON hvh.election_date = hsel.election_date AND hvh.election_type = hsel.election_type`
+      : '';
+
+    conditions.push(`(
+      SELECT COUNT(*) > 0 AND BOOL_AND(hvh.voting_method = ANY(${param(methods)}::text[]))
+      FROM vote_history hvh
+      ${scope}
+      WHERE hvh.ncid = voters.ncid
+    )`);
+  }
+
+  return conditions;
+}
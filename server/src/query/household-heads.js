@@ -0,0 +1,64 @@
+/**
+ * Household head selection
+ *
+ * One voter per household is marked as its head: the target for walk sheets and mail. Rules are
+ * applied in order, each breaking ties left by the one before, and list order breaks the rest.
+ */
+
+import { QueryConfigError } from './errors.js';
+
+// Rule -> ORDER BY term over list_voters (lv) and voters (v); party takes the preferred party
+const HEAD_RULES = {
+  not_contacted: () => 'lv.contact_status IS NULL DESC',
+  turnout_score: () => 'v.turnout_score DESC NULLS LAST',
+  oldest: () => 'COALESCE(v.birth_year, EXTRACT(YEAR FROM NOW())::int - v.age) ASC NULLS LAST',
+  longest_registered: () => 'v.registration_date ASC NULLS LAST',
+  party: party => `v.party = ${party} DESC NULLS LAST`,
+};
+
+export const HEAD_RULE_NAMES = Object.keys(HEAD_RULES);
+
+export const DEFAULT_HEAD_RULES = [{ rule: 'not_contacted' }, { rule: 'turnout_score' }];
+
+const MAX_RULES = HEAD_RULE_NAMES.length;
+
+/**
+ * Validate head rules: ['not_contacted', { rule: 'party', party: 'DEM' }, 'turnout_score']
+ * @returns {Array<{ rule: string, party?: string }>}
+ */
+export function parseHeadRules(rules) {
+  if (rules === undefined || rules === null) return DEFAULT_HEAD_RULES;
+
+  if (!Array.isArray(rules) || rules.length < 1 || rules.length > MAX_RULES) {
+    throw new QueryConfigError(`rules must list 1 to ${MAX_RULES} of ${HEAD_RULE_NAMES.join(', ')}`);
+  }
+
+  const parsed = rules.map(entry => {
+    const { rule, party } = typeof entry === 'string' ? { rule: entry } : entry || {};
+    if (!HEAD_RULES[rule]) {
+      throw new QueryConfigError(`Unknown household head rule: ${rule}. Use ${HEAD_RULE_NAMES.join(', ')}`);
+    }
+    if (rule !== 'party') return { rule };
+
+    const code = String(party ?? '').trim().toUpperCase();
+    if (!/^[A-Z]{2,3}$/.test(code)) {
+      throw new QueryConfigError('The party rule needs a party code, e.g. { "rule": "party", "party": "DEM" }');
+    }
+    return { rule, party: code };
+  });
+
+  if (new Set(parsed.map(entry => entry.rule)).size !== parsed.length) {
+    throw new QueryConfigError('Each household head rule can only be used once');
+  }
+  return parsed;
+}
+
+/**
+ * ORDER BY terms ranking a household's members, best head first
+ * @param {Array} rules - From parseHeadRules
+ * @param {function} param - Registers a value and returns its $n placeholder
+ */
+export function headOrderBy(rules, param) {
+  const terms = rules.map(({ rule, party }) => HEAD_RULES[rule](party && param(party)));
+  return [...terms, 'lv.sort_order', 'lv.ncid'].join(', ');
+}
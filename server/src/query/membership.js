@@ -0,0 +1,146 @@
+/**
+ * Work-product filters: list membership and contact history
+ *
+ *   in_lists              - [list ids]: on any of these lists
+ *   in_lists_tagged       - ['mail']: on any list carrying one of these tags
+ *   contacted             - true: contacted at least once / false: never contacted
+ *   contacted_within_days - N: contacted in the last N days
+ *   contact_result        - 'Not Home' or { value: 'Not Home' | [...], min_attempts: 2, within_days: 30 }
+ *   survey_response       - { question: 'Q1', answer: 'strong support' | [...] } (latest answer counts)
+ *   experiment_arm        - { experiment: 3, arm: 'treatment' | [...] }: assigned to one of these arms
+ *
+ * Always scoped to the caller's organization; use a "not" group for negation
+ * (e.g. { not: { in_lists_tagged: ['mail'] } }).
+ */
+
+import { QueryConfigError } from './errors.js';
+
+export const MEMBERSHIP_FILTER_KEYS = [
+  'in_lists',
+  'in_lists_tagged',
+  'contacted',
+  'contacted_within_days',
+  'contact_result',
+  'survey_response',
+  'experiment_arm',
+];
+
+const MAX_DAYS = 3650;
+
+function positiveInt(value, name, max = Infinity) {
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new QueryConfigError(`${name} must be a whole number from 1${Number.isFinite(max) ? ` to ${max}` : ''}`);
+  }
+  return number;
+}
+
+const asArray = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Build conditions for the membership filters in one leaf
+ * @param {object} leaf
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @param {object} context - { organization }
+ */
+export function buildMembershipConditions(leaf, param, context) {
+  const keys = MEMBERSHIP_FILTER_KEYS.filter(key => leaf[key] !== undefined && leaf[key] !== null);
+  if (keys.length === 0) return [];
+
+  if (!context.organization) {
+    throw new QueryConfigError(`${keys.join(', ')} filters need an organization`);
+  }
+
+  const conditions = [];
+  const org = () => param(context.organization);
+
+  if (Array.isArray(leaf.in_lists) && leaf.in_lists.length > 0) {
+    const ids = leaf.in_lists.map(id => positiveInt(id, 'in_lists entries'));
+    conditions.push(`EXISTS (
+      SELECT 1 FROM list_voters mlv
+      JOIN lists ml ON ml.id = mlv.list_id
+      WHERE mlv.ncid = voters.ncid AND ml.id = ANY(${param(ids)}) AND ml.organization = ${org()}
+    )`);
+  }
+
+  if (Array.isArray(leaf.in_lists_tagged) && leaf.in_lists_tagged.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM list_voters mlv
+      JOIN lists ml ON ml.id = mlv.list_id
+      WHERE mlv.ncid = voters.ncid AND ml.tags && ${param(leaf.in_lists_tagged.map(String))}::text[]
+        AND ml.organization = ${org()}
+    )`);
+  }
+
+  if (leaf.contacted !== undefined && leaf.contacted !== null) {
+    const contacted = `EXISTS (
+      SELECT 1 FROM contact_history mch
+      WHERE mch.ncid = voters.ncid AND mch.organization = ${org()}
+    )`;
+    conditions.push(leaf.contacted === false || leaf.contacted === 'false' ? `NOT ${contacted}` : contacted);
+  }
+
+  if (leaf.contacted_within_days !== undefined && leaf.contacted_within_days !== null) {
+    const days = positiveInt(leaf.contacted_within_days, 'contacted_within_days', MAX_DAYS);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM contact_history mch
+      WHERE mch.ncid = voters.ncid AND mch.organization = ${org()}
+        AND mch.contacted_at >= NOW() - ${param(days)} * INTERVAL '1 day'
+    )`);
+  }
+
+  if (leaf.contact_result !== undefined && leaf.contact_result !== null) {
+    const spec = typeof leaf.contact_result === 'object' && !Array.isArray(leaf.contact_result)
+      ? leaf.contact_result
+      : { value: leaf.contact_result };
+
+    if (spec.value === undefined || spec.value === null || spec.value === '') {
+      throw new QueryConfigError('contact_result needs a value');
+    }
+
+    const minAttempts = spec.min_attempts !== undefined ? positiveInt(spec.min_attempts, 'contact_result.min_attempts') : 1;
+    const window = spec.within_days !== undefined
+      ? `AND mch.contacted_at >= NOW() - ${param(positiveInt(spec.within_days, 'contact_result.within_days', MAX_DAYS))} * INTERVAL '1 day'`
+      : '';
+
+    conditions.push(`(
+      SELECT COUNT(*) FROM contact_history mch
+      WHERE mch.ncid = voters.ncid AND mch.organization = ${org()}
+        AND mch.contact_result = ANY(${param(asArray(spec.value).map(String))}::text[])
+        ${window}
+    ) >= ${param(minAttempts)}`);
+  }
+
+  if (leaf.survey_response) {
+    const { question, answer } = leaf.survey_response;
+    if (!question || answer === undefined || answer === null) {
+      throw new QueryConfigError('survey_response needs a question and an answer');
+    }
+
+    // The voter's most recent answer to the question decides the match
+    conditions.push(`(
+      SELECT mch.survey_responses ->> ${param(String(question))}
+      FROM contact_history mch
+      WHERE mch.ncid = voters.ncid AND mch.organization = ${org()}
+        AND mch.survey_responses ? ${param(String(question))}
+      ORDER BY mch.contacted_at DESC
+      LIMIT 1
+    ) = ANY(${param(asArray(answer).map(String))}::text[])`);
+  }
+
+  if (leaf.experiment_arm) {
+    const { experiment, arm } = leaf.experiment_arm;
+    if (arm === undefined || arm === null || arm === '') {
+      throw new QueryConfigError('experiment_arm needs an experiment and an arm');
+    }
+
+    conditions.push(`EXISTS (
+      SELECT 1 FROM experiment_assignments mea
+      JOIN experiments me ON me.id = mea.experiment_id
+      WHERE mea.ncid = voters.ncid AND me.id = ${param(positiveInt(experiment, 'experiment_arm.experiment'))}
+        AND mea.arm = ANY(${param(asArray(arm).map(String))}::text[]) AND me.organization = ${org()}
+    )`);
+  }
+
+  return conditions;
+}
@@ -0,0 +1,150 @@
+/**
+ * Ranked voter name search
+ *
+ * Scores first and last name separately by trigram similarity (pg_trgm) and Double Metaphone
+ * (fuzzystrmatch), so "Mcdonald" finds MACDONALD and "Smyth" finds SMITH. Accepts
+ * "first last", "last, first", initials ("J Smith", "Smith, J.") and a bare NCID.
+ *
+ * Candidates come from the trigram and metaphone indexes on first_name/last_name; scoring
+ * only runs on those rows.
+ */
+
+import { QueryConfigError } from './errors.js';
+
+// Rows scoring below this are dropped
+export const MIN_SCORE = 0.3;
+
+const NCID_PATTERN = /^[A-Z]{0,3}\d{3,}$/;
+
+/**
+ * Uppercase, drop periods/apostrophes, keep letters, spaces and hyphens
+ */
+function normalize(text) {
+  return text.toUpperCase().replace(/[.']/g, '').replace(/[^A-Z\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const term = text => ({ text, initial: text.length === 1 });
+
+function singleName(text) {
+  if (text.length < 2) {
+    throw new QueryConfigError('Enter more than an initial');
+  }
+  return { single: term(text) };
+}
+
+/**
+ * Parse search input into name parts
+ * @returns {{ ncid?: string, first?: object, last?: object, single?: object, swapped?: object }}
+ */
+export function parseNameQuery(input) {
+  const raw = String(input || '').trim();
+  if (!raw) {
+    throw new QueryConfigError('Enter a name to search for');
+  }
+
+  if (NCID_PATTERN.test(raw.toUpperCase())) {
+    return { ncid: raw.toUpperCase() };
+  }
+
+  // "last, first [middle]"
+  if (raw.includes(',')) {
+    const [lastPart, ...rest] = raw.split(',');
+    const last = normalize(lastPart);
+    const first = normalize(rest.join(' ')).split(' ')[0] || '';
+    if (!last) throw new QueryConfigError('Enter a last name before the comma');
+    return first ? validated({ first: term(first), last: term(last) }) : singleName(last);
+  }
+
+  const tokens = normalize(raw).split(' ').filter(Boolean);
+  if (tokens.length === 0) {
+    throw new QueryConfigError('Enter a name to search for');
+  }
+  if (tokens.length === 1) {
+    return singleName(tokens[0]);
+  }
+
+  // "first [middle initials] last": multi-word last names ("Van Buren") are kept together
+  const rest = tokens.slice(1).filter((token, i, all) => token.length > 1 || i === all.length - 1);
+  const parsed = { first: term(tokens[0]), last: term(rest.join(' ')) };
+
+  // Two words could also be "Smith John"; scored with a small penalty
+  if (tokens.length === 2) {
+    parsed.swapped = { first: term(tokens[1]), last: term(tokens[0]) };
+  }
+  return validated(parsed);
+}
+
+function validated(parsed) {
+  if (parsed.first.initial && parsed.last.initial) {
+    throw new QueryConfigError('Spell out at least one name, not just initials');
+  }
+  return parsed;
+}
+
+/**
+ * Score (0-1) for one name column against a term
+ */
+function nameScore(column, part, param) {
+  if (part.initial) {
+    return `(CASE WHEN ${column} ILIKE ${param(`${part.text}%`)} THEN 1 ELSE 0 END)`;
+  }
+
+  const value = param(part.text);
+  // Exact once punctuation and spacing are ignored (O'BRIEN = OBRIEN, SMITH-JONES = SMITH JONES)
+  const letters = param(part.text.replace(/[^A-Z]/g, ''));
+  return `GREATEST(
+    CASE WHEN regexp_replace(UPPER(${column}), '[^A-Z]', '', 'g') = ${letters} THEN 1 ELSE 0 END,
+    similarity(${column}, ${value}),
+    word_similarity(${value}, ${column}) * 0.9,
+    CASE WHEN dmetaphone(${column}) = dmetaphone(${value}) THEN 0.8 ELSE 0 END,
+    CASE WHEN dmetaphone_alt(${column}) = dmetaphone_alt(${value}) THEN 0.7 ELSE 0 END,
+    0
+  )`;
+}
+
+/**
+ * Index-backed candidate condition for one name column (null for initials)
+ */
+function nameCandidate(column, part, param) {
+  if (part.initial) return null;
+  const value = param(part.text);
+  return `(${column} % ${value} OR dmetaphone(${column}) = dmetaphone(${value}))`;
+}
+
+/**
+ * Candidate condition and score expression for a parsed query
+ * @param {object} parsed - From parseNameQuery
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @returns {{ candidate: string, score: string }}
+ */
+export function buildNameSearch(parsed, param) {
+  if (parsed.ncid) {
+    return { candidate: `ncid = ${param(parsed.ncid)}`, score: '1' };
+  }
+
+  if (parsed.single) {
+    // One word: a last name, or failing that a first name
+    return {
+      candidate: `(${nameCandidate('last_name', parsed.single, param)} OR ${nameCandidate('first_name', parsed.single, param)})`,
+      score: `GREATEST(${nameScore('last_name', parsed.single, param)}, ${nameScore('first_name', parsed.single, param)} * 0.8)`,
+    };
+  }
+
+  // Last name carries more weight than first (nicknames, initials)
+  const pairScore = ({ first, last }) =>
+    `(${nameScore('last_name', last, param)} * 0.6 + ${nameScore('first_name', first, param)} * 0.4)`;
+
+  // Candidates come from whichever name is spelled out (the last name when both are)
+  const pairCandidate = ({ first, last }) => (!last.initial
+    ? nameCandidate('last_name', last, param)
+    : `(${nameCandidate('first_name', first, param)} AND last_name ILIKE ${param(`${last.text}%`)})`);
+
+  const orientations = [parsed, parsed.swapped].filter(Boolean).filter(o => !(o.first.initial && o.last.initial));
+
+  return {
+    candidate: `(${orientations.map(pairCandidate).join(' OR ')})`,
+    score: orientations.length > 1
+      ? `GREATEST(${pairScore(orientations[0])}, ${pairScore(orientations[1])} * 0.9)`
+      : pairScore(orientations[0]),
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Overlap (Venn) analysis between saved queries and lists
+ *
+ * Sets are labelled A-D in the order given. Each voter in any set gets a bitmask of the sets it
+ * is in, and a region is named by its letters: "AB" is in A and B and in none of the others.
+ */
+
+import { QueryConfigError } from './errors.js';
+import { buildWhereClause } from './compiler.js';
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+export const MIN_SETS = 2;
+export const MAX_SETS = LETTERS.length;
+
+const given = value => value !== undefined && value !== null;
+
+/**
+ * Validate set references: [{ saved_query_id } | { list_id }]
+ * @returns {Array<{ key: string, type: 'query' | 'list', id: number }>}
+ */
+export function parseOverlapSets(sets) {
+  if (!Array.isArray(sets) || sets.length < MIN_SETS || sets.length > MAX_SETS) {
+    throw new QueryConfigError(`sets must list ${MIN_SETS} to ${MAX_SETS} saved queries or lists`);
+  }
+
+  const parsed = sets.map((set, i) => {
+    const queryId = set?.saved_query_id;
+    const listId = set?.list_id;
+    if (given(queryId) === given(listId)) {
+      throw new QueryConfigError(`Set ${LETTERS[i]} needs either saved_query_id or list_id`);
+    }
+
+    const id = parseInt(queryId ?? listId);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new QueryConfigError(`Set ${LETTERS[i]} has an invalid id`);
+    }
+    return { key: LETTERS[i], type: given(queryId) ? 'query' : 'list', id };
+  });
+
+  const seen = new Set(parsed.map(set => `${set.type}:${set.id}`));
+  if (seen.size !== parsed.length) {
+    throw new QueryConfigError('Each saved query or list can only appear once');
+  }
+  return parsed;
+}
+
+/**
+ * Every non-empty region for n sets, as { key, sets, mask }
+ */
+export function overlapRegions(count) {
+  const regions = [];
+  for (let mask = 1; mask < 2 ** count; mask++) {
+    const sets = LETTERS.slice(0, count).filter((_, i) => mask & (1 << i));
+    regions.push({ key: sets.join(''), sets, mask });
+  }
+  // Single-set regions first, then pairs, ...
+  return regions.sort((a, b) => a.sets.length - b.sets.length || a.key.localeCompare(b.key));
+}
+
+/**
+ * Bitmask for a region key such as "AB"
+ */
+export function parseRegion(key, count) {
+  const letters = String(key || '').toUpperCase().split('');
+  const valid = LETTERS.slice(0, count);
+  if (letters.length === 0 || letters.some(letter => !valid.includes(letter)) || new Set(letters).size !== letters.length) {
+    throw new QueryConfigError(`region must be set letters from ${valid.join('')}, e.g. "AB" for in A and B only`);
+  }
+  return letters.reduce((mask, letter) => mask | (1 << LETTERS.indexOf(letter)), 0);
+}
+
+/**
+ * CTE giving each voter in any set its region mask ("overlap_regions (ncid, mask)")
+ * @param {Array} sets - From parseOverlapSets, with query_config loaded on query sets
+ * @param {object} options - { startParamIndex, organization }
+ * @returns {{ cte: string, params: Array, paramIndex: number }}
+ */
+export function overlapCte(sets, { startParamIndex = 1, organization }) {
+  const params = [];
+  let paramIndex = startParamIndex;
+
+  const members = sets.map((set, i) => {
+    if (set.type === 'list') {
+      params.push(set.id);
+      return `SELECT ncid, ${1 << i} AS bit FROM list_voters WHERE list_id = $${paramIndex++}`;
+    }
+
+    const compiled = buildWhereClause(set.query_config, { startParamIndex: paramIndex, organization });
+    params.push(...compiled.params);
+    paramIndex = compiled.paramIndex;
+    const where = compiled.conditions.length > 0 ? `WHERE ${compiled.conditions.join(' AND ')}` : '';
+    return `SELECT ncid, ${1 << i} AS bit FROM voters ${where}`;
+  });
+
+  const cte = `
+    WITH overlap_members AS (
+      ${members.join('\n      UNION ALL\n      ')}
+    ),
+    overlap_regions AS (
+      SELECT ncid, bit_or(bit) AS mask
+      FROM overlap_members
+      GROUP BY ncid
+    )
+  `;
+
+  return { cte, params, paramIndex };
+}
@@ -0,0 +1,134 @@
+/**
+ * Keyset (cursor) pagination for voter queries
+ *
+ * Results are ordered by the requested sort keys plus ncid, so every row has a unique, stable
+ * position. A cursor encodes the sort values of the last row on a page; the next page starts
+ * strictly after it, so deep pages cost the same as the first one (no OFFSET scan).
+ *
+ * Nullable sort columns are COALESCEd to a fixed value so NULLs have a position too.
+ */
+
+import { QueryConfigError } from './errors.js';
+
+// Sortable fields: SQL expression and the value NULLs sort as (mirrored when building cursors)
+const SORT_FIELDS = {
+  last_name: { sql: "COALESCE(last_name, '')", nullValue: '' },
+  first_name: { sql: "COALESCE(first_name, '')", nullValue: '' },
+  age: { sql: 'COALESCE(age, -1)', nullValue: -1 },
+  precinct_name: { sql: "COALESCE(precinct_name, '')", nullValue: '' },
+  street_address: { sql: "COALESCE(street_address, '')", nullValue: '' },
+  turnout_score: { sql: 'COALESCE(turnout_score, -1)', nullValue: -1 },
+  partisan_score: { sql: 'COALESCE(partisan_score, -1)', nullValue: -1 },
+};
+
+export const SORT_FIELD_NAMES = Object.keys(SORT_FIELDS);
+
+const DEFAULT_ORDER = 'last_name, first_name';
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Parse "limit" and "offset" (limit defaults to 100 and is capped at maxLimit; offset defaults to 0)
+ * @returns {{ limit: number, offset: number }}
+ */
+export function parsePage({ limit, offset }, maxLimit) {
+  const pageLimit = limit === undefined || limit === null ? DEFAULT_LIMIT : parseInt(limit);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1) {
+    throw new QueryConfigError('limit must be a whole number of at least 1');
+  }
+
+  const pageOffset = offset === undefined || offset === null ? 0 : parseInt(offset);
+  if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+    throw new QueryConfigError('offset must be a whole number of at least 0');
+  }
+
+  return { limit: Math.min(pageLimit, maxLimit), offset: pageOffset };
+}
+
+/**
+ * Parse an orderBy string ("last_name, first_name", "age DESC") into sort keys ending in ncid
+ */
+export function parseSort(orderBy = DEFAULT_ORDER) {
+  if (typeof orderBy !== 'string' || !orderBy.trim()) {
+    orderBy = DEFAULT_ORDER;
+  }
+
+  const keys = orderBy.split(',').map(part => {
+    const [field, direction = 'ASC', ...rest] = part.trim().split(/\s+/);
+    const dir = direction.toUpperCase();
+
+    if (!SORT_FIELDS[field] || !['ASC', 'DESC'].includes(dir) || rest.length > 0) {
+      throw new QueryConfigError(`orderBy must list fields from ${SORT_FIELD_NAMES.join(', ')}, each optionally ASC or DESC`);
+    }
+
+    return { field, sql: SORT_FIELDS[field].sql, nullValue: SORT_FIELDS[field].nullValue, dir };
+  });
+
+  // ncid breaks ties, following the direction of the last key
+  keys.push({ field: 'ncid', sql: 'ncid', nullValue: '', dir: keys[keys.length - 1].dir });
+  return keys;
+}
+
+/**
+ * ORDER BY clause for parsed sort keys
+ */
+export function orderByClause(keys) {
+  return keys.map(key => `${key.sql} ${key.dir}`).join(', ');
+}
+
+const signature = keys => keys.map(key => `${key.field}:${key.dir}`).join(',');
+
+/**
+ * Sort values of a row as the ORDER BY sees them (the row must include every sort field)
+ */
+export function rowSortValues(row, keys) {
+  return keys.map(key => (row[key.field] === null || row[key.field] === undefined ? key.nullValue : row[key.field]));
+}
+
+/**
+ * Cursor pointing just past a row
+ */
+export function encodeCursor(row, keys) {
+  return Buffer.from(JSON.stringify({ s: signature(keys), v: rowSortValues(row, keys) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, rejecting one made for a different sort order
+ */
+export function decodeCursor(cursor, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new QueryConfigError('Invalid cursor');
+  }
+
+  if (!decoded || decoded.s !== signature(keys) || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) {
+    throw new QueryConfigError('Cursor does not match this query\'s orderBy');
+  }
+
+  return decoded.v;
+}
+
+/**
+ * Condition selecting rows after the cursor position
+ * @param {Array} keys - Parsed sort keys
+ * @param {Array} values - Decoded cursor values
+ * @param {function} param - Registers a value and returns its $n placeholder
+ */
+export function keysetCondition(keys, values, param) {
+  const placeholders = values.map(value => param(value));
+
+  // Same direction throughout: a row comparison, which an index on the sort keys can serve
+  if (keys.every(key => key.dir === keys[0].dir)) {
+    const op = keys[0].dir === 'ASC' ? '>' : '<';
+    return `(${keys.map(key => key.sql).join(', ')}) ${op} (${placeholders.join(', ')})`;
+  }
+
+  // Mixed directions: (a after x) OR (a = x AND b after y) OR ...
+  const branches = keys.map((key, i) => {
+    const equal = keys.slice(0, i).map((prev, j) => `${prev.sql} = ${placeholders[j]}`);
+    const after = `${key.sql} ${key.dir === 'ASC' ? '>' : '<'} ${placeholders[i]}`;
+    return `(${[...equal, after].join(' AND ')})`;
+  });
+  return `(${branches.join(' OR ')})`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Roster matching
+ *
+ * Maps an uploaded roster's columns onto name, address, birth year and NCID, and scores voter
+ * file candidates for one row. Name scoring is the ranked name search (trigram + Double
+ * Metaphone); address, ZIP and birth year add to it when the roster has them.
+ */
+
+import { QueryConfigError } from './errors.js';
+import { parseNameQuery, buildNameSearch } from './name-search.js';
+
+// Roster field -> header spellings recognised (compared lowercased, without spaces/punctuation)
+const COLUMN_ALIASES = {
+  ncid: ['ncid', 'voterid', 'voterregnum', 'voter'],
+  first_name: ['firstname', 'first', 'fname', 'givenname'],
+  last_name: ['lastname', 'last', 'lname', 'surname', 'familyname'],
+  name: ['name', 'fullname', 'votername'],
+  street_address: ['streetaddress', 'address', 'address1', 'street', 'resaddress', 'homeaddress'],
+  city: ['city', 'town'],
+  zip_code: ['zip', 'zipcode', 'postalcode', 'zip5'],
+  birth_year: ['birthyear', 'yob', 'yearofbirth', 'byear'],
+  age: ['age'],
+};
+
+export const ROSTER_FIELDS = Object.keys(COLUMN_ALIASES);
+
+// Weights for each part of the match score; missing roster fields drop out and the rest rescale
+const WEIGHTS = {
+  name: 0.5,
+  address: 0.25,
+  zip: 0.1,
+  birth_year: 0.15,
+};
+
+// Top candidate at or above this, and this far ahead of the next, is matched without review
+export const AUTO_MATCH_SCORE = 0.85;
+export const AUTO_MATCH_LEAD = 0.1;
+// Below this nothing is offered for review
+export const REVIEW_MIN_SCORE = 0.5;
+
+const NCID_PATTERN = /^[A-Z]{0,3}\d{3,}$/;
+
+const headerKey = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Roster field -> CSV header, from recognised headers and explicit overrides
+ * @param {string[]} headers - Headers as they appear in the file
+ * @param {object} [overrides] - { field: header }
+ */
+export function detectColumns(headers, overrides = {}) {
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const header = headers.find(h => aliases.includes(headerKey(h)));
+    if (header !== undefined) columns[field] = header;
+  }
+
+  for (const [field, header] of Object.entries(overrides || {})) {
+    if (!COLUMN_ALIASES[field]) {
+      throw new QueryConfigError(`Unknown roster field: ${field}. Use ${ROSTER_FIELDS.join(', ')}`);
+    }
+    if (!headers.includes(header)) {
+      throw new QueryConfigError(`Column "${header}" (for ${field}) is not in the file`);
+    }
+    columns[field] = header;
+  }
+
+  if (!columns.ncid && !columns.name && !columns.last_name) {
+    throw new QueryConfigError('The roster needs an NCID column or name columns (first/last or full name)');
+  }
+  return columns;
+}
+
+/**
+ * Roster fields for one CSV row
+ */
+export function rosterFields(row, columns) {
+  const value = field => {
+    const raw = columns[field] !== undefined ? row[columns[field]] : undefined;
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+    return text || null;
+  };
+
+  const fields = {
+    ncid: value('ncid')?.toUpperCase() || null,
+    first_name: value('first_name'),
+    last_name: value('last_name'),
+    name: value('name'),
+    street_address: value('street_address')?.toUpperCase() || null,
+    city: value('city')?.toUpperCase() || null,
+    zip_code: value('zip_code')?.slice(0, 5) || null,
+    birth_year: null,
+  };
+
+  const birthYear = parseInt(value('birth_year'));
+  const age = parseInt(value('age'));
+  if (birthYear >= 1900 && birthYear <= new Date().getFullYear()) {
+    fields.birth_year = birthYear;
+  } else if (age >= 16 && age <= 120) {
+    fields.birth_year = new Date().getFullYear() - age;
+  }
+
+  if (fields.ncid && !NCID_PATTERN.test(fields.ncid)) {
+    fields.ncid = null;
+  }
+  return fields;
+}
+
+/**
+ * Name text for the name search: "last, first" when split, else the full name column
+ */
+function nameText(fields) {
+  if (fields.last_name) {
+    return fields.first_name ? `${fields.last_name}, ${fields.first_name}` : fields.last_name;
+  }
+  return fields.name;
+}
+
+/**
+ * Candidate query for the fuzzy pass, or null when the row has no usable name
+ * @param {object} fields - From rosterFields
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @returns {{ candidate: string, score: string } | null}
+ */
+export function rosterMatchQuery(fields, param) {
+  let parsed;
+  try {
+    parsed = parseNameQuery(nameText(fields));
+  } catch (err) {
+    if (err instanceof QueryConfigError) return null;
+    throw err;
+  }
+  if (parsed.ncid) return null;
+
+  const name = buildNameSearch(parsed, param);
+  const parts = [{ weight: WEIGHTS.name, score: name.score }];
+  // Something besides the name must agree, or a common name matches half the state
+  const anchors = [];
+
+  if (fields.street_address) {
+    const address = param(fields.street_address);
+    parts.push({ weight: WEIGHTS.address, score: `similarity(COALESCE(street_address, ''), ${address})` });
+    anchors.push(`street_address % ${address}`);
+  }
+  if (fields.zip_code || fields.city) {
+    const place = fields.zip_code ? `zip_code = ${param(fields.zip_code)}` : `city = ${param(fields.city)}`;
+    parts.push({ weight: WEIGHTS.zip, score: `(CASE WHEN ${place} THEN 1 ELSE 0 END)` });
+    anchors.push(place);
+  }
+  if (fields.birth_year) {
+    const year = param(fields.birth_year);
+    parts.push({
+      weight: WEIGHTS.birth_year,
+      score: `(CASE ABS(COALESCE(birth_year, 0) - ${year}) WHEN 0 THEN 1 WHEN 1 THEN 0.5 ELSE 0 END)`,
+    });
+    anchors.push(`birth_year BETWEEN ${year} - 1 AND ${year} + 1`);
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.weight, 0);
+  return {
+    candidate: anchors.length > 0 ? `${name.candidate} AND (${anchors.join(' OR ')})` : name.candidate,
+    score: `(${parts.map(part => `${part.score} * ${part.weight / total}`).join(' + ')})`,
+  };
+}
+
+/**
+ * Match status from ranked candidates ([{ ncid, score }], best first)
+ * @returns {{ status: 'matched' | 'review' | 'unmatched', ncid: string|null, confidence: number|null }}
+ */
+export function classifyMatch(candidates) {
+  const [best, next] = candidates;
+  if (!best || best.score < REVIEW_MIN_SCORE) {
+    return { status: 'unmatched', ncid: null, confidence: best ? best.score : null };
+  }
+  if (best.score >= AUTO_MATCH_SCORE && (!next || best.score - next.score >= AUTO_MATCH_LEAD)) {
+    return { status: 'matched', ncid: best.ncid, confidence: best.score };
+  }
+  return { status: 'review', ncid: null, confidence: best.score };
+}
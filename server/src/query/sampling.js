@@ -0,0 +1,180 @@
+/**
+ * Seeded sampling and experiment arm assignment
+ *
+ * Draws are ordered by md5(seed || ':' || key) instead of RANDOM(), so the same seed over the
+ * same voters always gives the same sample and the same arms. Samples are nested: with one
+ * seed, a draw of 500 contains the draw of 100.
+ */
+
+import crypto from 'crypto';
+import { QueryConfigError } from './errors.js';
+
+// Stratification field -> stratum expression over voters (alias v)
+export const STRATIFY_FIELDS = {
+  precinct: "COALESCE(v.precinct_name, 'Unknown')",
+  party: "COALESCE(v.party, 'Unknown')",
+};
+
+// Randomization unit: whole households, or individual voters
+export const CLUSTER_MODES = ['household', 'voter'];
+
+const DEFAULT_ARMS = [{ name: 'treatment', weight: 1 }, { name: 'control', weight: 1 }];
+const MAX_ARMS = 10;
+const MAX_SEED_LENGTH = 100;
+
+/**
+ * Seed as text; a random one is generated (and should be returned to the caller) when omitted
+ */
+export function parseSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return String(crypto.randomInt(1, 2 ** 31));
+  }
+  const text = String(seed).trim();
+  if (!text || text.length > MAX_SEED_LENGTH) {
+    throw new QueryConfigError(`seed must be 1 to ${MAX_SEED_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Seeded sort key for a text column
+ * @param {string} key - Column or expression to hash
+ * @param {string} seedParam - $n placeholder holding the seed
+ */
+export function seededOrder(key, seedParam) {
+  return `md5(${seedParam} || ':' || ${key})`;
+}
+
+/**
+ * Number of voters to draw from a universe: either { size: N } or { percent: P }
+ */
+export function sampleSize({ size, percent }, universe) {
+  const hasSize = size !== undefined && size !== null;
+  const hasPercent = percent !== undefined && percent !== null;
+  if (hasSize === hasPercent) {
+    throw new QueryConfigError('Give either size or percent');
+  }
+
+  if (hasSize) {
+    const n = Number(size);
+    if (!Number.isInteger(n) || n < 1) {
+      throw new QueryConfigError('size must be a whole number of at least 1');
+    }
+    return Math.min(n, universe);
+  }
+
+  const p = Number(percent);
+  if (!Number.isFinite(p) || p <= 0 || p > 100) {
+    throw new QueryConfigError('percent must be greater than 0 and at most 100');
+  }
+  return Math.round(universe * p / 100);
+}
+
+/**
+ * Arms with positive weights; defaults to an even treatment/control split
+ * @returns {Array<{ name: string, weight: number }>}
+ */
+export function parseArms(arms) {
+  if (arms === undefined || arms === null) return DEFAULT_ARMS;
+
+  if (!Array.isArray(arms) || arms.length < 2 || arms.length > MAX_ARMS) {
+    throw new QueryConfigError(`arms must list 2 to ${MAX_ARMS} arms`);
+  }
+
+  const parsed = arms.map(arm => {
+    const { name, weight = 1 } = typeof arm === 'string' ? { name: arm } : arm || {};
+    const label = String(name ?? '').trim();
+    if (!label || label.length > 50) {
+      throw new QueryConfigError('Each arm needs a name of 1 to 50 characters');
+    }
+    const w = Number(weight);
+    if (!Number.isFinite(w) || w <= 0) {
+      throw new QueryConfigError(`Arm "${label}" needs a positive weight`);
+    }
+    return { name: label, weight: w };
+  });
+
+  if (new Set(parsed.map(arm => arm.name)).size !== parsed.length) {
+    throw new QueryConfigError('Arm names must be unique');
+  }
+  return parsed;
+}
+
+/**
+ * Stratification fields: 'precinct', 'party', both, or none
+ */
+export function parseStratify(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const names = Array.isArray(value) ? value : String(value).split(',').map(name => name.trim());
+  const unknown = names.filter(name => !STRATIFY_FIELDS[name]);
+  if (unknown.length > 0) {
+    throw new QueryConfigError(`Can't stratify by ${unknown.join(', ')}. Use ${Object.keys(STRATIFY_FIELDS).join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+export function parseCluster(value = 'household') {
+  if (!CLUSTER_MODES.includes(value)) {
+    throw new QueryConfigError(`cluster must be one of ${CLUSTER_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * SQL assigning every voter on a list to an arm
+ *
+ * Clusters (households or voters) are shuffled by seed within each stratum and dealt out by
+ * cumulative weight, so each stratum is split in the arms' proportions. A household whose
+ * members differ on a stratification field goes to its most common value.
+ *
+ * @param {object} design - { arms, stratify, cluster }
+ * @param {function} param - Registers a value and returns its $n placeholder
+ * @param {object} refs - $n placeholders for { experimentId, listId, seed }
+ * @returns {string} INSERT INTO experiment_assignments ...
+ */
+export function assignmentQuery({ arms, stratify, cluster }, param, { experimentId, listId, seed }) {
+  const clusterKey = cluster === 'household' ? 'COALESCE(lv.household_id, lv.ncid)' : 'lv.ncid';
+  const stratum = stratify.length > 0
+    ? stratify.map(name => STRATIFY_FIELDS[name]).join(` || ' | ' || `)
+    : "'all'";
+
+  // Cut points on the (0, 1) position of each cluster within its stratum
+  const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let cumulative = 0;
+  const branches = arms.slice(0, -1).map(arm => {
+    cumulative += arm.weight / total;
+    return `WHEN r.position < ${cumulative} THEN ${param(arm.name)}`;
+  });
+
+  return `
+    WITH members AS (
+      SELECT lv.ncid, ${clusterKey} AS cluster_id, ${stratum} AS member_stratum
+      FROM list_voters lv
+      JOIN voters v ON v.ncid = lv.ncid
+      WHERE lv.list_id = ${listId}
+    ),
+    clusters AS (
+      SELECT cluster_id, mode() WITHIN GROUP (ORDER BY member_stratum) AS stratum
+      FROM members
+      GROUP BY cluster_id
+    ),
+    ranked AS (
+      SELECT
+        cluster_id,
+        stratum,
+        (ROW_NUMBER() OVER (PARTITION BY stratum ORDER BY ${seededOrder('cluster_id', seed)}) - 0.5)
+          / COUNT(*) OVER (PARTITION BY stratum) AS position
+      FROM clusters
+    )
+    INSERT INTO experiment_assignments (experiment_id, ncid, arm, cluster_id, stratum)
+    SELECT
+      ${experimentId},
+      m.ncid,
+      CASE ${branches.join(' ')} ELSE ${param(arms[arms.length - 1].name)} END,
+      r.cluster_id,
+      r.stratum
+    FROM members m
+    JOIN ranked r ON r.cluster_id = m.cluster_id
+  `;
+}
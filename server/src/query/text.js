@@ -0,0 +1,429 @@
+/**
+ * Text query language
+ *
+ * A compact syntax for the query builder config:
+ *
+ *   county:BUNCOMBE party:DEM,UNA age:18..29 voted:2024-11-05 -voted:2022-11-08 near:35.59,-82.55@800m
+ *
+ * Terms are separated by spaces and ANDed. Commas list alternatives within a field (any of).
+ * A leading "-" negates a term. Quote values with spaces: precinct:"WEST ASHEVILLE 1".
+ * Words without a field are a name/address search. Repeating a field ANDs the terms
+ * (voted:2020-11-03 voted:2024-11-05 = voted in both).
+ *
+ * parseQueryText turns text into a config that /api/query/build accepts; formatQueryText goes
+ * the other way for the parts of a config the syntax can express.
+ */
+
+import { QueryConfigError } from './errors.js';
+import { FILTER_KEYS } from './compiler.js';
+
+/**
+ * A syntax error at a position in the query text (0-based offset, length of the bad token)
+ */
+export class QueryTextError extends QueryConfigError {
+  constructor(message, position, length = 1) {
+    super(`${message} (column ${position + 1})`);
+    this.position = position;
+    this.length = Math.max(1, length);
+  }
+}
+
+// Field name -> how its value maps onto config keys
+const FIELDS = {
+  county: { type: 'list', key: 'county' },
+  precinct: { type: 'list', key: 'precincts' },
+  city: { type: 'list', key: 'municipalities' },
+  zip: { type: 'list', key: 'zip_codes' },
+  cd: { type: 'string', key: 'congressional_district' },
+  senate: { type: 'string', key: 'nc_senate_district' },
+  house: { type: 'string', key: 'nc_house_district' },
+  age: { type: 'range', min: 'age_min', max: 'age_max', integer: true },
+  sex: { type: 'list', key: 'sex' },
+  race: { type: 'list', key: 'race' },
+  ethnicity: { type: 'list', key: 'ethnicity' },
+  party: { type: 'list', key: 'party' },
+  status: { type: 'string', key: 'registration_status', upper: true },
+  registered: { type: 'dateRange', min: 'registered_after', max: 'registered_before' },
+  turnout: { type: 'range', min: 'turnout_min', max: 'turnout_max' },
+  partisan: { type: 'range', min: 'partisan_min', max: 'partisan_max' },
+  voted: { type: 'elections', key: 'voted_in', negatedKey: 'did_not_vote_in' },
+  primary: { type: 'string', key: 'primary_party' },
+  method: { type: 'list', key: 'voting_method', upper: true },
+  votes: { type: 'minimum', key: 'min_votes' },
+  near: { type: 'radius', key: 'within_radius' },
+  turf: { type: 'ids', key: 'turf_ids' },
+  list: { type: 'ids', key: 'in_lists' },
+  tag: { type: 'list', key: 'in_lists_tagged' },
+  contacted: { type: 'boolean', key: 'contacted' },
+  search: { type: 'string', key: 'search' },
+};
+
+const ALIASES = {
+  precincts: 'precinct',
+  municipality: 'city',
+  zip_code: 'zip',
+  congressional: 'cd',
+  parties: 'party',
+  registration: 'status',
+  lists: 'list',
+  turfs: 'turf',
+};
+
+export const TEXT_FIELDS = Object.keys(FIELDS);
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?';
+const DATE = '\\d{4}-\\d{2}-\\d{2}';
+const RANGE_PATTERN = new RegExp(`^(${NUMBER})?\\.\\.(${NUMBER})?$`);
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`);
+const DATE_RANGE_PATTERN = new RegExp(`^(${DATE})?\\.\\.(${DATE})?$`);
+const DATE_PATTERN = new RegExp(`^${DATE}$`);
+const ELECTION_PATTERN = new RegExp(`^(${DATE})(?:/([A-Za-z]+))?$`);
+const RADIUS_PATTERN = new RegExp(`^(${NUMBER}),(${NUMBER})@(\\d+(?:\\.\\d+)?)(m|km|mi)$`);
+
+const isSpace = ch => /\s/.test(ch);
+
+/**
+ * Split text into raw terms, honouring quotes
+ */
+function tokenize(text) {
+  const terms = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (isSpace(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < text.length && !isSpace(text[i])) {
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) {
+          throw new QueryTextError('Unterminated quote', i, text.length - i);
+        }
+        i = close + 1;
+      } else {
+        i++;
+      }
+    }
+
+    terms.push({ raw: text.slice(start, i), position: start });
+  }
+
+  return terms;
+}
+
+/**
+ * Split a value on commas outside quotes, stripping the quotes
+ */
+function splitItems(value, position) {
+  const items = [];
+  let current = '';
+  let itemStart = 0;
+  let quoted = false;
+
+  for (let i = 0; i <= value.length; i++) {
+    const ch = value[i];
+    if (i === value.length || (ch === ',' && !quoted)) {
+      if (!current) {
+        throw new QueryTextError('Empty value', position + itemStart);
+      }
+      items.push({ text: current, position: position + itemStart });
+      current = '';
+      itemStart = i + 1;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else {
+      current += ch;
+    }
+  }
+
+  return items;
+}
+
+const unquote = value => value.replace(/"/g, '');
+
+/**
+ * Config fragment for one field:value term
+ */
+function fieldLeaf(name, field, value, valuePosition, negated) {
+  const error = (message, item = { text: value, position: valuePosition }) => {
+    throw new QueryTextError(message, item.position, item.text.length);
+  };
+
+  const single = () => {
+    const items = splitItems(value, valuePosition);
+    if (items.length > 1) error(`${name} takes one value`, items[1]);
+    return items[0];
+  };
+
+  switch (field.type) {
+    case 'list': {
+      const items = splitItems(value, valuePosition).map(item => item.text);
+      return { [field.key]: field.upper ? items.map(item => item.toUpperCase()) : items };
+    }
+
+    case 'string': {
+      const item = single();
+      return { [field.key]: field.upper ? item.text.toUpperCase() : item.text };
+    }
+
+    case 'range': {
+      const item = single();
+      let min;
+      let max;
+      const range = item.text.match(RANGE_PATTERN);
+      if (range && (range[1] !== undefined || range[2] !== undefined)) {
+        [, min, max] = range;
+      } else if (NUMBER_PATTERN.test(item.text)) {
+        min = max = item.text;
+      } else {
+        error(`${name} needs a number or a range like 18..29, 65.. or ..30`, item);
+      }
+
+      const toNumber = text => (field.integer ? parseInt(text) : parseFloat(text));
+      if (field.integer && [min, max].some(n => n !== undefined && !Number.isInteger(Number(n)))) {
+        error(`${name} must be whole numbers`, item);
+      }
+      if (min !== undefined && max !== undefined && toNumber(min) > toNumber(max)) {
+        error(`${name} range is backwards`, item);
+      }
+
+      return {
+        ...(min !== undefined && { [field.min]: toNumber(min) }),
+        ...(max !== undefined && { [field.max]: toNumber(max) }),
+      };
+    }
+
+    case 'dateRange': {
+      const item = single();
+      const range = item.text.match(DATE_RANGE_PATTERN);
+      if (range && (range[1] || range[2])) {
+        return { ...(range[1] && { [field.min]: range[1] }), ...(range[2] && { [field.max]: range[2] }) };
+      }
+      if (DATE_PATTERN.test(item.text)) {
+        return { [field.min]: item.text, [field.max]: item.text };
+      }
+      return error(`${name} needs a date or range like 2020-01-01..2023-12-31`, item);
+    }
+
+    case 'elections': {
+      const elections = splitItems(value, valuePosition).map(item => {
+        const match = item.text.match(ELECTION_PATTERN);
+        if (!match) error(`${name} needs election dates like 2024-11-05 or 2024-03-05/PRIMARY`, item);
+        return match[2] ? { date: match[1], type: match[2].toUpperCase() } : { date: match[1] };
+      });
+      return { [negated ? field.negatedKey : field.key]: elections };
+    }
+
+    case 'minimum': {
+      const item = single();
+      const match = item.text.match(/^(\d+)(?:\.\.)?$/);
+      if (!match) error(`${name} needs a minimum like 3 or 3..`, item);
+      return { [field.key]: parseInt(match[1]) };
+    }
+
+    case 'radius': {
+      const match = unquote(value).match(RADIUS_PATTERN);
+      if (!match) error(`${name} needs lat,lng@distance like 35.59,-82.55@800m (m, km or mi)`);
+      const [, lat, lng, distance, unit] = match;
+      const radius = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      if (unit === 'mi') radius.miles = parseFloat(distance);
+      else radius.meters = parseFloat(distance) * (unit === 'km' ? 1000 : 1);
+      return { [field.key]: radius };
+    }
+
+    case 'ids': {
+      return {
+        [field.key]: splitItems(value, valuePosition).map(item => {
+          if (!/^\d+$/.test(item.text)) error(`${name} needs numeric ids`, item);
+          return parseInt(item.text);
+        }),
+      };
+    }
+
+    case 'boolean': {
+      const item = single();
+      const text = item.text.toLowerCase();
+      if (!['yes', 'no', 'true', 'false'].includes(text)) error(`${name} needs yes or no`, item);
+      return { [field.key]: text === 'yes' || text === 'true' };
+    }
+
+    default:
+      return error(`Unsupported field ${name}`);
+  }
+}
+
+/**
+ * Parse query text into a query builder config
+ * @param {string} text
+ * @returns {object} Config with flat filters, plus a filter tree for negated or repeated terms
+ * @throws {QueryTextError} With the position and length of the offending token
+ */
+export function parseQueryText(text) {
+  if (typeof text !== 'string') {
+    throw new QueryConfigError('Query text must be a string');
+  }
+
+  const flat = {};
+  const extra = [];
+  const searchWords = [];
+
+  const add = (leaf, negated) => {
+    if (negated) {
+      extra.push({ not: leaf });
+    } else if (Object.keys(leaf).some(key => key in flat)) {
+      // Repeated field: its own leaf, ANDed with the first
+      extra.push(leaf);
+    } else {
+      Object.assign(flat, leaf);
+    }
+  };
+
+  for (const term of tokenize(text)) {
+    const negated = term.raw.length > 1 && term.raw[0] === '-';
+    const body = negated ? term.raw.slice(1) : term.raw;
+    const bodyPosition = term.position + (negated ? 1 : 0);
+
+    const colon = body[0] === '"' ? -1 : body.indexOf(':');
+    if (colon === -1) {
+      // Bare word(s): name/address search
+      const word = unquote(body);
+      if (!word) throw new QueryTextError('Empty search term', term.position, term.raw.length);
+      if (negated) add({ search: word }, true);
+      else searchWords.push(word);
+      continue;
+    }
+
+    const rawName = body.slice(0, colon);
+    const name = ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+    const field = FIELDS[name];
+    if (!field) {
+      throw new QueryTextError(`Unknown field "${rawName}". Fields: ${TEXT_FIELDS.join(', ')}`, bodyPosition, rawName.length || 1);
+    }
+
+    const value = body.slice(colon + 1);
+    const valuePosition = bodyPosition + colon + 1;
+    if (!value) {
+      throw new QueryTextError(`${name} needs a value`, bodyPosition, colon + 1);
+    }
+
+    const leaf = fieldLeaf(name, field, value, valuePosition, negated);
+    // -voted: is did_not_vote_in, not a negated group
+    add(leaf, negated && field.type !== 'elections');
+  }
+
+  if (searchWords.length > 0) {
+    add({ search: searchWords.join(' ') }, false);
+  }
+
+  if (extra.length > 0) {
+    flat.filter = extra.length === 1 ? extra[0] : { and: extra };
+  }
+
+  return flat;
+}
+
+const hasValue = value => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+const quote = value => (/[\s,:"]/.test(String(value)) ? `"${String(value).replace(/"/g, '')}"` : String(value));
+
+/**
+ * Text terms for one flat leaf; keys the syntax can't express are returned as unsupported
+ */
+function formatLeaf(leaf, negated) {
+  const terms = [];
+  const used = new Set();
+  const prefix = negated ? '-' : '';
+
+  for (const [name, field] of Object.entries(FIELDS)) {
+    const keys = field.type === 'range' || field.type === 'dateRange' ? [field.min, field.max] : [field.key];
+    if (field.negatedKey) keys.push(field.negatedKey);
+    if (!keys.some(key => hasValue(leaf[key]))) continue;
+    keys.forEach(key => used.add(key));
+
+    switch (field.type) {
+      case 'list':
+      case 'ids':
+        terms.push(`${prefix}${name}:${[].concat(leaf[field.key]).map(quote).join(',')}`);
+        break;
+      case 'string':
+        // Active registrations are the default
+        if (field.key === 'registration_status' && leaf[field.key] === 'ACTIVE' && !negated) break;
+        terms.push(`${prefix}${name}:${quote(leaf[field.key])}`);
+        break;
+      case 'range':
+      case 'dateRange': {
+        const min = hasValue(leaf[field.min]) ? leaf[field.min] : '';
+        const max = hasValue(leaf[field.max]) ? leaf[field.max] : '';
+        terms.push(`${prefix}${name}:${min !== '' && min === max ? min : `${min}..${max}`}`);
+        break;
+      }
+      case 'elections': {
+        const format = elections => elections.map(e => (e.type ? `${e.date}/${e.type}` : e.date)).join(',');
+        if (hasValue(leaf[field.key])) terms.push(`${negated ? '-' : ''}${name}:${format(leaf[field.key])}`);
+        if (hasValue(leaf[field.negatedKey])) terms.push(`${negated ? '' : '-'}${name}:${format(leaf[field.negatedKey])}`);
+        break;
+      }
+      case 'minimum':
+        terms.push(`${prefix}${name}:${leaf[field.key]}..`);
+        break;
+      case 'radius': {
+        const { lat, lng, meters, miles } = leaf[field.key];
+        terms.push(`${prefix}${name}:${lat},${lng}@${miles !== undefined ? `${miles}mi` : `${meters}m`}`);
+        break;
+      }
+      case 'boolean':
+        terms.push(`${prefix}${name}:${leaf[field.key] === false || leaf[field.key] === 'false' ? 'no' : 'yes'}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  const unsupported = Object.keys(leaf).filter(key => !used.has(key) && hasValue(leaf[key]));
+  return { terms, unsupported };
+}
+
+/**
+ * Format a config as query text
+ * @returns {{ text: string, unsupported: string[] }} unsupported lists config keys left out
+ */
+export function formatQueryText(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new QueryConfigError('Query config must be an object');
+  }
+
+  const { filter, ...rest } = config;
+  const flatLeaf = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (FILTER_KEYS.includes(key)) flatLeaf[key] = value;
+  }
+
+  const parts = [formatLeaf(flatLeaf, false)];
+
+  if (filter) {
+    const nodes = filter.and || [filter];
+    for (const node of nodes) {
+      const negated = node && typeof node === 'object' && 'not' in node;
+      const leaf = negated ? node.not : node;
+      if (!leaf || typeof leaf !== 'object' || ['and', 'or', 'not'].some(key => key in leaf)) {
+        parts.push({ terms: [], unsupported: ['filter'] });
+      } else {
+        parts.push(formatLeaf(leaf, negated));
+      }
+    }
+  }
+
+  // Bare search words read better at the end
+  const terms = parts.flatMap(part => part.terms);
+  const searchTerms = terms.filter(term => term.startsWith('search:') && !term.startsWith('search:"'));
+  const text = [
+    ...terms.filter(term => !searchTerms.includes(term)),
+    ...searchTerms.map(term => term.slice('search:'.length)),
+  ].join(' ');
+
+  return { text, unsupported: [...new Set(parts.flatMap(part => part.unsupported))] };
+}
@@ -0,0 +1,168 @@
+/**
+ * Audit API Routes
+ * Read-only access to the PII audit log for data-sharing agreement reviews
+ */
+
+import { Router } from 'express';
+import { db } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { AUDIT_ACTIONS } from '../utils/audit.js';
+import { QueryConfigError } from '../query/errors.js';
+import { parsePage } from '../query/pagination.js';
+
+const router = Router();
+
+const MAX_PAGE_SIZE = 1000;
+
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Whether a value is an ISO 8601 date or timestamp ("2024-11-05", "2024-11-05T18:30:00Z")
+ * naming a real day (Date.parse rolls "2024-02-31" over into March)
+ */
+function isTimestamp(value) {
+  const match = typeof value === 'string' && value.match(ISO_TIMESTAMP);
+  if (!match || Number.isNaN(Date.parse(value))) return false;
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * GET /api/audit
+ * Search the organization's audit log
+ *
+ * Filters: user_id, action (comma-separated, or a prefix like "export."), target_type,
+ * target_id, from, to (ISO timestamps), limit, offset
+ */
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const {
+      user_id,
+      action,
+      target_type,
+      target_id,
+      from,
+      to,
+    } = req.query;
+    const { limit, offset } = parsePage(req.query, MAX_PAGE_SIZE);
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && !isTimestamp(value)) {
+        return res.status(400).json({ error: `${name} must be an ISO 8601 date or timestamp, e.g. 2024-11-05T18:30:00Z` });
+      }
+    }
+
+    const conditions = ['a.organization = $1'];
+    const params = [req.organization];
+    let paramIndex = 2;
+
+    if (user_id) {
+      conditions.push(`a.user_id = $${paramIndex}`);
+      params.push(parseInt(user_id));
+      paramIndex++;
+    }
+
+    if (action) {
+      const actions = action.split(',').map(a => a.trim()).filter(Boolean);
+      const prefixes = actions.filter(a => a.endsWith('.'));
+      const exact = actions.filter(a => !a.endsWith('.'));
+      const actionConditions = [];
+
+      if (exact.length > 0) {
+        actionConditions.push(`a.action = ANY($${paramIndex})`);
+        params.push(exact);
+        paramIndex++;
+      }
+
+      for (const prefix of prefixes) {
+        actionConditions.push(`a.action LIKE $${paramIndex}`);
+        params.push(`${prefix}%`);
+        paramIndex++;
+      }
+
+      if (actionConditions.length > 0) {
+        conditions.push(`(${actionConditions.join(' OR ')})`);
+      }
+    }
+
+    if (target_type) {
+      conditions.push(`a.target_type = $${paramIndex}`);
+      params.push(target_type);
+      paramIndex++;
+    }
+
+    if (target_id) {
+      conditions.push(`a.target_id = $${paramIndex}`);
+      params.push(String(target_id));
+      paramIndex++;
+    }
+
+    if (from) {
+      conditions.push(`a.occurred_at >= $${paramIndex}`);
+      params.push(from);
+      paramIndex++;
+    }
+
+    if (to) {
+      conditions.push(`a.occurred_at <= $${paramIndex}`);
+      params.push(to);
+      paramIndex++;
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const entries = await db.manyOrNone(`
+      SELECT
+        a.id,
+        a.occurred_at,
+        a.user_id,
+        a.user_email,
+        a.user_role,
+        a.action,
+        a.target_type,
+        a.target_id,
+        a.query_config,
+        a.row_count,
+        a.details,
+        a.ip_address,
+        a.user_agent
+      FROM audit_log a
+      ${whereClause}
+      ORDER BY a.occurred_at DESC, a.id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, limit, offset]);
+
+    const summary = await db.one(`
+      SELECT COUNT(*) as total, COALESCE(SUM(a.row_count), 0) as rows_accessed
+      FROM audit_log a
+      ${whereClause}
+    `, params);
+
+    res.json({
+      entries,
+      total: parseInt(summary.total),
+      rows_accessed: parseInt(summary.rows_accessed),
+      limit,
+      offset,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Audit Log Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/audit/actions
+ * List the actions that can appear in the audit log
+ */
+router.get('/actions', requirePermission('audit:read'), (req, res) => {
+  res.json(AUDIT_ACTIONS);
+});
+
+export default router;
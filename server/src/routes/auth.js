@@ -1,28 +1,152 @@
 /**
  * Auth API Routes
- * Simple JWT-based authentication
+ * JWT access tokens backed by revocable, rotating refresh-token sessions
  */
 
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import rateLimit from 'express-rate-limit';
 import { db } from '../config/database.js';
+import { sendMail } from '../config/mail.js';
+import { ROLES, requirePermission } from '../middleware/permissions.js';
+import { generateSecret, verifyCode, otpauthUrl } from '../utils/totp.js';
 
 const router = Router();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const ALLOW_OPEN_REGISTRATION = process.env.ALLOW_OPEN_REGISTRATION !== 'false';
+const APP_URL = process.env.APP_URL || 'http://localhost:8000';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Stricter limit for endpoints that accept guesses (passwords, 2FA codes, reset tokens)
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: 'Too many attempts, please try again later' },
+});
+
+/**
+ * Hash a random token (refresh token, invitation, recovery code) for storage
+ * The tokens are generated, not chosen by users, so a fast hash is sufficient (no bcrypt).
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, organization: user.organization, sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Recovery codes are compared without case, spaces or dashes, so "abcde 12345" matches ABCDE-12345
+ */
+function canonicalRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes (returned to the user once as XXXXX-XXXXX, stored hashed)
+ */
+async function generateRecoveryCodes(t, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await t.none('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await t.none('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, hashToken(canonicalRecoveryCode(code))]);
+  }
+
+  return codes;
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled
+ * Consumes the recovery code / records the TOTP step so neither can be replayed
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const canonical = canonicalRecoveryCode(recoveryCode);
+    // Codes generated before canonicalization were hashed in their dashed form
+    const hashes = [hashToken(canonical), hashToken(`${canonical.slice(0, 5)}-${canonical.slice(5)}`)];
+    const used = await db.oneOrNone(`
+      UPDATE user_recovery_codes
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = ANY($2) AND used_at IS NULL
+      RETURNING id
+    `, [userId, hashes]);
+    return !!used;
+  }
+
+  const user = await db.oneOrNone('SELECT totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled', [userId]);
+  if (!user) return false;
+
+  const step = verifyCode(user.totp_secret, code, {
+    lastUsedStep: user.totp_last_step !== null ? parseInt(user.totp_last_step) : null,
+  });
+  if (step === null) return false;
+
+  const recorded = await db.result(`
+    UPDATE users SET totp_last_step = $1
+    WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+  `, [step, userId]);
+  return recorded.rowCount === 1;
+}
+
+/**
+ * Start a new session for a user and issue its first token pair
+ */
+export async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  // Drop long-dead sessions so the table doesn't grow without bound
+  await db.none(`
+    DELETE FROM user_sessions
+    WHERE user_id = $1 AND COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '30 days'
+  `, [user.id]);
+
+  const session = await db.one(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day')
+    RETURNING id
+  `, [user.id, hashToken(refreshToken), req.get('user-agent') || null, req.ip, REFRESH_TOKEN_TTL_DAYS]);
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+}
 
 /**
  * POST /api/auth/register
- * Register a new user
+ * Register a new user as the admin of a new organization
+ * Joining an existing organization requires an invitation (see /api/invitations)
  */
 router.post('/register', async (req, res) => {
   try {
+    if (!ALLOW_OPEN_REGISTRATION) {
+      return res.status(403).json({ error: 'Open registration is disabled. Ask an organizer for an invitation.' });
+    }
+
     const { email, password, name, organization } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    if (!email || !password || !organization) {
+      return res.status(400).json({ error: 'Email, password and organization are required' });
     }
 
     // Check if user exists
@@ -31,23 +155,23 @@ router.post('/register', async (req, res) => {
       return res.status(409).json({ error: 'Email already registered' });
     }
 
+    const orgMember = await db.oneOrNone('SELECT id FROM users WHERE organization = $1 LIMIT 1', [organization]);
+    if (orgMember) {
+      return res.status(409).json({ error: 'Organization already exists. Ask an organizer for an invitation.' });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
     // Create user
     const user = await db.one(`
-      INSERT INTO users (email, password_hash, name, organization)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO users (email, password_hash, name, role, organization)
+      VALUES ($1, $2, $3, 'admin', $4)
       RETURNING id, email, name, role, organization, created_at
     `, [email.toLowerCase(), passwordHash, name, organization]);
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       user: {
@@ -57,7 +181,7 @@ router.post('/register', async (req, res) => {
         role: user.role,
         organization: user.organization,
       },
-      token,
+      ...tokens,
     });
 
   } catch (err) {
@@ -70,7 +194,7 @@ router.post('/register', async (req, res) => {
  * POST /api/auth/login
  * Login with email and password
  */
-router.post('/login', async (req, res) => {
+router.post('/login', credentialLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -80,7 +204,7 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const user = await db.oneOrNone(`
-      SELECT id, email, password_hash, name, role, organization
+      SELECT id, email, password_hash, name, role, organization, totp_enabled
       FROM users
       WHERE email = $1
     `, [email.toLowerCase()]);
@@ -95,15 +219,20 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Enrolled users finish signing in at /login/2fa
+    if (user.totp_enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: '2fa' },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+      );
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
     // Update last login
     await db.none('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const tokens = await createSession(user, req);
 
     res.json({
       user: {
@@ -113,7 +242,7 @@ router.post('/login', async (req, res) => {
         role: user.role,
         organization: user.organization,
       },
-      token,
+      ...tokens,
     });
 
   } catch (err) {
@@ -122,6 +251,212 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Complete a login challenge with a TOTP code or a recovery code
+ */
+router.post('/login/2fa', credentialLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'challengeToken and code or recoveryCode are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: 'Challenge expired, please sign in again' });
+    }
+
+    if (challenge.purpose !== '2fa') {
+      return res.status(401).json({ error: 'Invalid challenge' });
+    }
+
+    const valid = await verifySecondFactor(challenge.userId, { code, recoveryCode });
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const user = await db.one(`
+      UPDATE users SET last_login = NOW()
+      WHERE id = $1
+      RETURNING id, email, name, role, organization
+    `, [challenge.userId]);
+
+    const tokens = await createSession(user, req);
+
+    res.json({ user, ...tokens });
+
+  } catch (err) {
+    console.error('[2FA Login Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (the refresh token is rotated)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await db.oneOrNone(`
+      SELECT
+        s.id,
+        s.refresh_token_hash = $1 as is_current,
+        s.revoked_at IS NOT NULL OR s.expires_at <= NOW() as is_dead,
+        u.id as user_id,
+        u.email,
+        u.role,
+        u.organization
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+    `, [tokenHash]);
+
+    if (!session || session.is_dead) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    // A rotated-out token being replayed means it leaked; kill the whole session
+    if (!session.is_current) {
+      await db.none(`
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoke_reason = 'refresh_token_reuse'
+        WHERE id = $1 AND revoked_at IS NULL
+      `, [session.id]);
+      return res.status(401).json({ error: 'Refresh token reuse detected; session revoked' });
+    }
+
+    const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+    const rotated = await db.result(`
+      UPDATE user_sessions
+      SET previous_token_hash = refresh_token_hash,
+          refresh_token_hash = $1,
+          last_used_at = NOW(),
+          ip_address = $2
+      WHERE id = $3 AND refresh_token_hash = $4
+    `, [hashToken(newRefreshToken), req.ip, session.id, tokenHash]);
+
+    if (rotated.rowCount === 0) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    const user = { id: session.user_id, email: session.email, role: session.role, organization: session.organization };
+
+    res.json({
+      token: signAccessToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+
+  } catch (err) {
+    console.error('[Refresh Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await db.none(`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_by = $1, revoke_reason = 'logout'
+      WHERE id = $2 AND revoked_at IS NULL
+    `, [req.userId, req.sessionId]);
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Logout Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions (devices)
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await db.manyOrNone(`
+      SELECT
+        id,
+        user_agent,
+        ip_address,
+        created_at,
+        last_used_at,
+        expires_at,
+        id = $2 as current
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `, [req.userId, req.sessionId]);
+
+    res.json(sessions);
+
+  } catch (err) {
+    console.error('[Sessions Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await db.result(`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_by = $1, revoke_reason = 'user_revoked'
+      WHERE id = $2 AND user_id = $1 AND revoked_at IS NULL
+    `, [req.userId, req.params.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Revoke Session Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke all of the current user's sessions (including this one)
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const result = await db.result(`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_by = $1, revoke_reason = 'user_revoked_all'
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `, [req.userId]);
+
+    res.json({ success: true, revoked: result.rowCount });
+
+  } catch (err) {
+    console.error('[Revoke Sessions Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current user info
@@ -149,19 +484,19 @@ router.get('/me', authMiddleware, async (req, res) => {
 /**
  * PUT /api/auth/me
  * Update current user info
+ * Organization is not self-editable since it scopes access to lists, turfs and queries
  */
 router.put('/me', authMiddleware, async (req, res) => {
   try {
-    const { name, organization } = req.body;
+    const { name } = req.body;
 
     const user = await db.one(`
       UPDATE users
       SET name = COALESCE($1, name),
-          organization = COALESCE($2, organization),
           updated_at = NOW()
-      WHERE id = $3
+      WHERE id = $2
       RETURNING id, email, name, role, organization
-    `, [name, organization, req.userId]);
+    `, [name, req.userId]);
 
     res.json(user);
 
@@ -201,6 +536,13 @@ router.put('/password', authMiddleware, async (req, res) => {
 
     await db.none('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [newHash, req.userId]);
 
+    // Sign out every other device
+    await db.none(`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_by = $1, revoke_reason = 'password_changed'
+      WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+    `, [req.userId, req.sessionId]);
+
     res.json({ success: true });
 
   } catch (err) {
@@ -209,10 +551,371 @@ router.put('/password', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/password/forgot
+ * Email a one-time password reset link
+ * Always responds the same way so it can't be used to discover accounts
+ */
+router.post('/password/forgot', credentialLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await db.oneOrNone('SELECT id, email FROM users WHERE email = $1', [email.toLowerCase()]);
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString('base64url');
+
+      // Only the newest link works
+      await db.none(`
+        UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE user_id = $1 AND used_at IS NULL
+      `, [user.id]);
+
+      await db.none(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+        VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute', $4)
+      `, [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES, req.ip]);
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your CivicVoice password',
+          text: [
+            'Someone asked to reset the password for your CivicVoice account.',
+            '',
+            `Reset it here: ${APP_URL}/reset-password?token=${token}`,
+            '',
+            `This link can be used once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.`,
+            'If you did not request this, you can ignore this email.',
+          ].join('\n'),
+        });
+      } catch (mailErr) {
+        console.error('[Password Reset Mail Error]', mailErr);
+      }
+    }
+
+    res.json({ success: true, message: 'If that account exists, a reset link has been sent' });
+
+  } catch (err) {
+    console.error('[Forgot Password Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Set a new password with a reset token; signs out every device
+ */
+router.post('/password/reset', credentialLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const newHash = await bcrypt.hash(newPassword, salt);
+
+    const userId = await db.tx(async t => {
+      const resetToken = await t.oneOrNone(`
+        UPDATE password_reset_tokens
+        SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+      `, [hashToken(token)]);
+
+      if (!resetToken) {
+        return null;
+      }
+
+      await t.none('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [newHash, resetToken.user_id]);
+      await t.none(`
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoke_reason = 'password_reset'
+        WHERE user_id = $1 AND revoked_at IS NULL
+      `, [resetToken.user_id]);
+
+      return resetToken.user_id;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Reset Password Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the current user
+ */
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const status = await db.one(`
+      SELECT
+        u.totp_enabled as enabled,
+        (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+      FROM users u
+      WHERE u.id = $1
+    `, [req.userId]);
+
+    res.json({
+      enabled: status.enabled,
+      recovery_codes_remaining: parseInt(status.recovery_codes_remaining),
+    });
+
+  } catch (err) {
+    console.error('[2FA Status Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: generates a secret to scan into an authenticator app
+ */
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const user = await db.one('SELECT email, password_hash, totp_enabled FROM users WHERE id = $1', [req.userId]);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const valid = await bcrypt.compare(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const secret = generateSecret();
+    await db.none('UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2', [secret, req.userId]);
+
+    res.json({
+      secret,
+      otpauth_url: otpauthUrl(secret, user.email),
+    });
+
+  } catch (err) {
+    console.error('[2FA Setup Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app; returns recovery codes once
+ */
+router.post('/2fa/enable', authMiddleware, credentialLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await db.one('SELECT totp_secret, totp_enabled FROM users WHERE id = $1', [req.userId]);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start with POST /api/auth/2fa/setup' });
+    }
+
+    const step = verifyCode(user.totp_secret, code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await db.tx(async t => {
+      await t.none(`
+        UPDATE users
+        SET totp_enabled = TRUE, totp_last_step = $1, updated_at = NOW()
+        WHERE id = $2
+      `, [step, req.userId]);
+      return generateRecoveryCodes(t, req.userId);
+    });
+
+    res.json({ enabled: true, recoveryCodes });
+
+  } catch (err) {
+    console.error('[2FA Enable Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (requires a current code)
+ */
+router.post('/2fa/recovery-codes', authMiddleware, credentialLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const valid = await verifySecondFactor(req.userId, { code });
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await db.tx(t => generateRecoveryCodes(t, req.userId));
+
+    res.json({ recoveryCodes });
+
+  } catch (err) {
+    console.error('[2FA Recovery Codes Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication (requires password and a code or recovery code)
+ */
+router.post('/2fa/disable', authMiddleware, credentialLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and code or recoveryCode are required' });
+    }
+
+    const user = await db.one('SELECT password_hash FROM users WHERE id = $1', [req.userId]);
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const valid = await verifySecondFactor(req.userId, { code, recoveryCode });
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await db.tx(async t => {
+      await t.none(`
+        UPDATE users
+        SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [req.userId]);
+      await t.none('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.userId]);
+    });
+
+    res.json({ enabled: false });
+
+  } catch (err) {
+    console.error('[2FA Disable Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/users
+ * List users in the caller's organization
+ */
+router.get('/users', authMiddleware, requirePermission('users:read'), async (req, res) => {
+  try {
+    const users = await db.manyOrNone(`
+      SELECT id, email, name, role, totp_enabled, created_at, last_login
+      FROM users
+      WHERE organization = $1
+      ORDER BY name, email
+    `, [req.organization]);
+
+    res.json(users);
+
+  } catch (err) {
+    console.error('[List Users Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id/role
+ * Change a user's role (admin only)
+ */
+router.put('/users/:id/role', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (parseInt(id) === req.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await db.oneOrNone(`
+      UPDATE users
+      SET role = $1, updated_at = NOW()
+      WHERE id = $2 AND organization = $3
+      RETURNING id, email, name, role, organization
+    `, [role, id, req.organization]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+
+  } catch (err) {
+    console.error('[Change Role Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id/sessions
+ * Force-logout a user in the caller's organization (organizers cannot sign out admins)
+ */
+router.delete('/users/:id/sessions', authMiddleware, requirePermission('sessions:revoke'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const target = await db.oneOrNone('SELECT id, role FROM users WHERE id = $1 AND organization = $2', [id, req.organization]);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (target.role === 'admin' && req.userRole !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can sign out an admin' });
+    }
+
+    const result = await db.result(`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_by = $1, revoke_reason = 'forced_logout'
+      WHERE user_id = $2 AND revoked_at IS NULL
+    `, [req.userId, target.id]);
+
+    res.json({ success: true, revoked: result.rowCount });
+
+  } catch (err) {
+    console.error('[Force Logout Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * Auth middleware
+ * Verifies the access token, then checks its session is still live so revocation and
+ * role changes take effect immediately
  */
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
+  let decoded;
+
   try {
     const authHeader = req.headers.authorization;
 
@@ -221,43 +924,51 @@ export function authMiddleware(req, res, next) {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    req.userId = decoded.userId;
-    req.userEmail = decoded.email;
-    req.userRole = decoded.role;
-
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
     return res.status(401).json({ error: 'Invalid token' });
   }
-}
 
-/**
- * Optional auth middleware (sets userId if token present, but doesn't require it)
- */
-export function optionalAuthMiddleware(req, res, next) {
   try {
-    const authHeader = req.headers.authorization;
+    const user = await db.oneOrNone(`
+      SELECT u.id, u.email, u.role, u.organization
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1 AND s.user_id = $2
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+    `, [decoded.sessionId || null, decoded.userId]);
 
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.userId = decoded.userId;
-      req.userEmail = decoded.email;
-      req.userRole = decoded.role;
-    } else {
-      req.userId = 1; // Default user for development
+    if (!user) {
+      return res.status(401).json({ error: 'Session revoked' });
     }
 
+    req.userId = user.id;
+    req.userEmail = user.email;
+    req.userRole = user.role;
+    req.organization = user.organization;
+    req.sessionId = decoded.sessionId;
+
     next();
   } catch (err) {
-    req.userId = 1; // Default on error
-    next();
+    console.error('[Auth Error]', err);
+    res.status(500).json({ error: err.message });
   }
 }
 
+/**
+ * Organization middleware (must run after authMiddleware)
+ * Lists, turfs, saved queries and contact history are scoped to the caller's organization
+ */
+export function requireOrganization(req, res, next) {
+  if (!req.organization) {
+    return res.status(403).json({ error: 'Account is not assigned to an organization' });
+  }
+
+  next();
+}
+
 export default router;
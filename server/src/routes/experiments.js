@@ -0,0 +1,221 @@
+/**
+ * Experiments API Routes
+ * Seeded treatment/control assignment over a list and outcome comparison by arm
+ */
+
+import { Router } from 'express';
+import { db } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { QueryConfigError } from '../query/errors.js';
+import { assignmentQuery, parseArms, parseCluster, parseSeed, parseStratify } from '../query/sampling.js';
+import { groupHouseholds } from '../utils/households.js';
+
+const router = Router();
+
+/**
+ * GET /api/experiments
+ * List the organization's experiments (optionally for one list)
+ */
+router.get('/', requirePermission('lists:read'), async (req, res) => {
+  try {
+    const conditions = ['e.organization = $1'];
+    const params = [req.organization];
+
+    if (req.query.list_id) {
+      conditions.push('e.list_id = $2');
+      params.push(parseInt(req.query.list_id));
+    }
+
+    const experiments = await db.manyOrNone(`
+      SELECT e.id, e.name, e.list_id, l.name AS list_name, e.seed, e.arms, e.cluster_by,
+             e.stratify_by, e.voter_count, e.created_at
+      FROM experiments e
+      LEFT JOIN lists l ON l.id = e.list_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.created_at DESC
+    `, params);
+
+    res.json(experiments);
+
+  } catch (err) {
+    console.error('[Experiments Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/experiments
+ * Assign every voter on a list to an arm
+ *
+ * Body: list_id, name, arms ([{ name, weight }], default 50/50 treatment/control),
+ * cluster ('household' | 'voter', default household), stratify_by (['precinct', 'party']),
+ * seed (generated and returned when omitted)
+ */
+router.post('/', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { list_id, name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const design = {
+      arms: parseArms(req.body.arms),
+      cluster: parseCluster(req.body.cluster),
+      stratify: parseStratify(req.body.stratify_by),
+    };
+    const seed = parseSeed(req.body.seed);
+
+    const list = await db.oneOrNone('SELECT id, settings FROM lists WHERE id = $1 AND organization = $2', [list_id, organization]);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const experiment = await db.tx(async t => {
+      // Households are randomized together; voters not yet grouped get ids from their address
+      if (design.cluster === 'household') {
+        await groupHouseholds(t, list.id, {
+          mode: list.settings?.household_mode || 'unit',
+          missingOnly: true,
+          reorder: false,
+        });
+      }
+
+      const created = await t.one(`
+        INSERT INTO experiments (organization, list_id, user_id, name, seed, arms, cluster_by, stratify_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, name, list_id, seed, arms, cluster_by, stratify_by, created_at
+      `, [organization, list.id, userId, name, seed, JSON.stringify(design.arms), design.cluster, design.stratify]);
+
+      const params = [created.id, list.id, seed];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      await t.none(assignmentQuery(design, param, { experimentId: '$1', listId: '$2', seed: '$3' }), params);
+
+      const { count } = await t.one('SELECT COUNT(*) AS count FROM experiment_assignments WHERE experiment_id = $1', [created.id]);
+      await t.none('UPDATE experiments SET voter_count = $1 WHERE id = $2', [count, created.id]);
+
+      return { ...created, voter_count: parseInt(count) };
+    });
+
+    const arms = await db.manyOrNone(`
+      SELECT arm, COUNT(*) AS voters, COUNT(DISTINCT cluster_id) AS clusters
+      FROM experiment_assignments
+      WHERE experiment_id = $1
+      GROUP BY arm
+      ORDER BY arm
+    `, [experiment.id]);
+
+    res.json({
+      ...experiment,
+      assignment: arms.map(row => ({ arm: row.arm, voters: parseInt(row.voters), clusters: parseInt(row.clusters) })),
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Create Experiment Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/experiments/:id
+ * Experiment design with contact and turnout outcomes by arm
+ *
+ * Contacts count any logged contact since assignment. Pass election_date (YYYY-MM-DD) to
+ * compare turnout in that election; by_stratum=true adds a per-stratum breakdown.
+ */
+router.get('/:id', requirePermission('lists:read'), async (req, res) => {
+  try {
+    const { organization } = req;
+    const { election_date, by_stratum } = req.query;
+
+    const experiment = await db.oneOrNone(`
+      SELECT e.*, l.name AS list_name
+      FROM experiments e
+      LEFT JOIN lists l ON l.id = e.list_id
+      WHERE e.id = $1 AND e.organization = $2
+    `, [req.params.id, organization]);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    if (election_date && !/^\d{4}-\d{2}-\d{2}$/.test(election_date)) {
+      return res.status(400).json({ error: 'election_date must be YYYY-MM-DD' });
+    }
+
+    const groupBy = by_stratum === 'true' ? 'ea.arm, ea.stratum' : 'ea.arm';
+    const outcomes = await db.manyOrNone(`
+      SELECT
+        ${groupBy},
+        COUNT(*) AS voters,
+        COUNT(DISTINCT ea.cluster_id) AS clusters,
+        COUNT(*) FILTER (WHERE contacts.attempts > 0) AS contacted,
+        COALESCE(SUM(contacts.attempts), 0) AS contact_attempts,
+        ${election_date ? 'COUNT(*) FILTER (WHERE voted.ncid IS NOT NULL)' : 'NULL'} AS voted
+      FROM experiment_assignments ea
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS attempts
+        FROM contact_history ch
+        WHERE ch.ncid = ea.ncid AND ch.organization = $2 AND ch.contacted_at >= $3
+      ) contacts ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT vh.ncid FROM vote_history vh
+        WHERE vh.ncid = ea.ncid AND vh.election_date = $4
+        LIMIT 1
+      ) voted ON $4 IS NOT NULL
+      WHERE ea.experiment_id = $1
+      GROUP BY ${groupBy}
+      ORDER BY ${groupBy}
+    `, [experiment.id, organization, experiment.created_at, election_date || null]);
+
+    res.json({
+      ...experiment,
+      election_date: election_date || null,
+      outcomes: outcomes.map(row => {
+        const voters = parseInt(row.voters);
+        const contacted = parseInt(row.contacted);
+        const voted = row.voted === null ? null : parseInt(row.voted);
+        return {
+          arm: row.arm,
+          ...(row.stratum !== undefined && { stratum: row.stratum }),
+          voters,
+          clusters: parseInt(row.clusters),
+          contacted,
+          contact_attempts: parseInt(row.contact_attempts),
+          contact_rate: voters > 0 ? Math.round(contacted / voters * 1000) / 10 : null,
+          voted,
+          turnout_rate: voted !== null && voters > 0 ? Math.round(voted / voters * 1000) / 10 : null,
+        };
+      }),
+    });
+
+  } catch (err) {
+    console.error('[Experiment Results Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/experiments/:id
+ * Delete an experiment and its assignments
+ */
+router.delete('/:id', requirePermission('lists:write'), async (req, res) => {
+  try {
+    await db.none('DELETE FROM experiments WHERE id = $1 AND organization = $2', [req.params.id, req.organization]);
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Delete Experiment Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
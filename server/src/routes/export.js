@@ -4,7 +4,14 @@
  */
 
 import { Router } from 'express';
-import { db } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { isStatementTimeout, sendStatementTimeout } from '../middleware/timeouts.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts } from '../middleware/confidential.js';
+import { isFieldHidden, redactRows, rejectHiddenFilters } from '../middleware/redaction.js';
+import { buildWhereClause, QueryConfigError } from '../query/compiler.js';
+import { sortForWalking } from '../utils/address.js';
+import { groupByHousehold, householdGreeting } from '../utils/households.js';
 import PDFDocument from 'pdfkit';
 import { format } from 'fast-csv';
 
@@ -13,21 +20,27 @@ const router = Router();
 /**
  * GET /api/export/csv/list/:id
  * Export a list as CSV
+ *
+ * household_only=true writes one row per household (its head); greeting=true adds a mail
+ * greeting column ("The Smith Household").
  */
-router.get('/csv/list/:id', async (req, res) => {
+router.get('/csv/list/:id', requirePermission('export'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
-    const { include_phone = 'true', include_history = 'false' } = req.query;
+    const { include_phone = 'true', include_history = 'false', household_only = 'false', greeting = 'false' } = req.query;
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id, name FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const list = await req.db.oneOrNone('SELECT id, name FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
 
+    const confidential = confidentialCondition(req, 'v');
+    const confidentialClause = confidential ? `AND ${confidential}` : '';
+
     // Get voters
-    const voters = await db.manyOrNone(`
+    const voters = await req.db.manyOrNone(`
       SELECT
         v.ncid,
         v.first_name,
@@ -47,29 +60,54 @@ router.get('/csv/list/:id', async (req, res) => {
         v.turnout_score,
         v.partisan_score,
         lv.household_id,
+        lv.is_household_head,
         lv.contact_status
       FROM list_voters lv
       JOIN voters v ON lv.ncid = v.ncid
-      WHERE lv.list_id = $1
+      WHERE lv.list_id = $1 ${confidentialClause}
       ORDER BY lv.sort_order
     `, [id]);
 
+    const excluded = await countExcludedConfidential(req, 'lv.list_id = $1', [id]);
+
+    await recordAudit(req, {
+      action: 'export.csv',
+      targetType: 'list',
+      targetId: id,
+      rowCount: voters.length,
+      details: {
+        include_phone: include_phone === 'true',
+        include_history: include_history === 'true',
+        household_only: household_only === 'true',
+        greeting: greeting === 'true',
+      },
+    });
+
+    const rows = householdRows(req, voters, {
+      headsOnly: household_only === 'true',
+      greeting: greeting === 'true',
+    });
+
     // Set headers for CSV download
     const filename = `${list.name.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Excluded-Confidential', excluded);
 
     // Create CSV stream
     const csvStream = format({ headers: true });
     csvStream.pipe(res);
 
-    for (const voter of voters) {
+    for (const voter of redactRows(req, rows)) {
       csvStream.write(voter);
     }
 
     csvStream.end();
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[CSV Export Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -79,17 +117,19 @@ router.get('/csv/list/:id', async (req, res) => {
  * GET /api/export/csv/turf/:id
  * Export a turf as CSV
  */
-router.get('/csv/turf/:id', async (req, res) => {
+router.get('/csv/turf/:id', requirePermission('export'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
-    const turf = await db.oneOrNone('SELECT id, name, list_id FROM turfs WHERE id = $1 AND user_id = $2', [id, userId]);
+    const turf = await req.db.oneOrNone('SELECT id, name, list_id FROM turfs WHERE id = $1 AND organization = $2', [id, organization]);
     if (!turf) {
       return res.status(404).json({ error: 'Turf not found' });
     }
 
-    const voters = await db.manyOrNone(`
+    const confidential = confidentialCondition(req, 'v');
+
+    const voters = await req.db.manyOrNone(`
       SELECT
         v.ncid,
         v.first_name,
@@ -105,24 +145,32 @@ router.get('/csv/turf/:id', async (req, res) => {
         lv.sort_order
       FROM list_voters lv
       JOIN voters v ON lv.ncid = v.ncid
-      WHERE lv.turf_id = $1
+      WHERE lv.turf_id = $1 AND lv.list_id = $2 ${confidential ? `AND ${confidential}` : ''}
       ORDER BY lv.sort_order
-    `, [id]);
+    `, [id, turf.list_id]);
+
+    const excluded = await countExcludedConfidential(req, 'lv.turf_id = $1 AND lv.list_id = $2', [id, turf.list_id]);
+
+    await recordAudit(req, { action: 'export.csv', targetType: 'turf', targetId: id, rowCount: voters.length });
 
     const filename = `${turf.name.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Excluded-Confidential', excluded);
 
     const csvStream = format({ headers: true });
     csvStream.pipe(res);
 
-    for (const voter of voters) {
+    for (const voter of redactRows(req, voters)) {
       csvStream.write(voter);
     }
 
     csvStream.end();
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Turf CSV Export Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -132,21 +180,24 @@ router.get('/csv/turf/:id', async (req, res) => {
  * GET /api/export/pdf/list/:id
  * Export a list as PDF walk sheet
  */
-router.get('/pdf/list/:id', async (req, res) => {
+router.get('/pdf/list/:id', requirePermission('export'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
     const { format: pdfFormat = 'walk' } = req.query; // 'walk' or 'call'
 
-    const list = await db.oneOrNone('SELECT id, name, voter_count FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const list = await req.db.oneOrNone('SELECT id, name, voter_count FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
 
+    const confidential = confidentialCondition(req, 'v');
+    const confidentialClause = confidential ? `AND ${confidential}` : '';
+
     let voters;
     if (pdfFormat === 'walk') {
-      // Group by household for walk sheets
-      voters = await db.manyOrNone(`
+      // Group by household for walk sheets, in walking order (street side, house number, unit)
+      voters = sortForWalking(await req.db.manyOrNone(`
         SELECT
           v.first_name,
           v.last_name,
@@ -160,12 +211,11 @@ router.get('/pdf/list/:id', async (req, res) => {
           (SELECT COUNT(*) FROM list_voters lv2 WHERE lv2.list_id = $1 AND lv2.household_id = lv.household_id) as household_size
         FROM list_voters lv
         JOIN voters v ON lv.ncid = v.ncid
-        WHERE lv.list_id = $1
-        ORDER BY v.zip_code, v.street_address, v.last_name
-      `, [id]);
+        WHERE lv.list_id = $1 ${confidentialClause}
+      `, [id]));
     } else {
       // Individual voters for call sheets
-      voters = await db.manyOrNone(`
+      voters = await req.db.manyOrNone(`
         SELECT
           v.first_name,
           v.last_name,
@@ -177,14 +227,25 @@ router.get('/pdf/list/:id', async (req, res) => {
           v.turnout_score
         FROM list_voters lv
         JOIN voters v ON lv.ncid = v.ncid
-        WHERE lv.list_id = $1
+        WHERE lv.list_id = $1 ${confidentialClause}
         ORDER BY lv.sort_order
       `, [id]);
     }
 
+    const excluded = await countExcludedConfidential(req, 'lv.list_id = $1', [id]);
+
+    await recordAudit(req, {
+      action: 'export.pdf',
+      targetType: 'list',
+      targetId: id,
+      rowCount: voters.length,
+      details: { format: pdfFormat },
+    });
+
     const filename = `${list.name.replace(/[^a-z0-9]/gi, '_')}_${pdfFormat}_${new Date().toISOString().split('T')[0]}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Excluded-Confidential', excluded);
 
     // Create PDF
     const doc = new PDFDocument({ margin: 50, size: 'LETTER' });
@@ -193,18 +254,21 @@ router.get('/pdf/list/:id', async (req, res) => {
     // Title
     doc.fontSize(18).font('Helvetica-Bold').text(list.name, { align: 'center' });
     doc.fontSize(12).font('Helvetica').text(`${pdfFormat === 'walk' ? 'Walk' : 'Call'} Sheet - ${new Date().toLocaleDateString()}`, { align: 'center' });
-    doc.text(`Total: ${voters.length} voters`, { align: 'center' });
+    doc.text(`Total: ${voters.length} voters${excluded > 0 ? ` (${excluded} confidential excluded)` : ''}`, { align: 'center' });
     doc.moveDown(2);
 
     if (pdfFormat === 'walk') {
-      generateWalkSheet(doc, voters);
+      generateWalkSheet(doc, redactRows(req, voters));
     } else {
-      generateCallSheet(doc, voters);
+      generateCallSheet(doc, redactRows(req, voters));
     }
 
     doc.end();
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[PDF Export Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -214,23 +278,25 @@ router.get('/pdf/list/:id', async (req, res) => {
  * GET /api/export/pdf/turf/:id
  * Export a turf as PDF walk sheet
  */
-router.get('/pdf/turf/:id', async (req, res) => {
+router.get('/pdf/turf/:id', requirePermission('export'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
-    const turf = await db.oneOrNone(`
+    const turf = await req.db.oneOrNone(`
       SELECT t.id, t.name, t.voter_count, t.door_count, t.estimated_time_minutes, t.list_id
       FROM turfs t
-      WHERE t.id = $1 AND t.user_id = $2
-    `, [id, userId]);
+      WHERE t.id = $1 AND t.organization = $2
+    `, [id, organization]);
 
     if (!turf) {
       return res.status(404).json({ error: 'Turf not found' });
     }
 
+    const confidential = confidentialCondition(req, 'v');
+
     // Get voters in route order if available
-    const voters = await db.manyOrNone(`
+    const voters = await req.db.manyOrNone(`
       SELECT
         v.first_name,
         v.last_name,
@@ -245,13 +311,18 @@ router.get('/pdf/turf/:id', async (req, res) => {
         lv.sort_order
       FROM list_voters lv
       JOIN voters v ON lv.ncid = v.ncid
-      WHERE lv.turf_id = $1
+      WHERE lv.turf_id = $1 AND lv.list_id = $2 ${confidential ? `AND ${confidential}` : ''}
       ORDER BY lv.sort_order
-    `, [id]);
+    `, [id, turf.list_id]);
+
+    const excluded = await countExcludedConfidential(req, 'lv.turf_id = $1 AND lv.list_id = $2', [id, turf.list_id]);
+
+    await recordAudit(req, { action: 'export.pdf', targetType: 'turf', targetId: id, rowCount: voters.length });
 
     const filename = `${turf.name.replace(/[^a-z0-9]/gi, '_')}_walksheet_${new Date().toISOString().split('T')[0]}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Excluded-Confidential', excluded);
 
     const doc = new PDFDocument({ margin: 40, size: 'LETTER' });
     doc.pipe(res);
@@ -259,19 +330,67 @@ router.get('/pdf/turf/:id', async (req, res) => {
     // Title
     doc.fontSize(16).font('Helvetica-Bold').text(turf.name, { align: 'center' });
     doc.fontSize(10).font('Helvetica').text(`Walk Sheet - ${new Date().toLocaleDateString()}`, { align: 'center' });
-    doc.text(`Doors: ${turf.door_count} | Voters: ${turf.voter_count} | Est. Time: ${turf.estimated_time_minutes} min`, { align: 'center' });
+    doc.text(`Doors: ${turf.door_count} | Voters: ${voters.length} | Est. Time: ${turf.estimated_time_minutes} min`, { align: 'center' });
+    if (excluded > 0) {
+      doc.text(`${excluded} confidential voter${excluded === 1 ? '' : 's'} excluded`, { align: 'center' });
+    }
     doc.moveDown(1.5);
 
-    generateWalkSheet(doc, voters);
+    generateWalkSheet(doc, redactRows(req, voters));
 
     doc.end();
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Turf PDF Export Error]', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Count confidential voters left out of a list/turf export (0 when the caller included them)
+ */
+async function countExcludedConfidential(req, membershipCondition, params) {
+  const result = await req.db.one(`
+    SELECT ${confidentialCounts(req, 'v')}
+    FROM list_voters lv
+    JOIN voters v ON lv.ncid = v.ncid
+    WHERE ${membershipCondition}
+  `, params);
+  return parseInt(result.excluded_confidential);
+}
+
+/**
+ * Export rows with household options: only each household's head, and/or a mail greeting
+ * built from the exported members' last names (left empty when last names are redacted)
+ */
+function householdRows(req, voters, { headsOnly, greeting }) {
+  if (!headsOnly && !greeting) return voters;
+
+  const showGreeting = greeting && !isFieldHidden(req, 'last_name');
+  const rows = [];
+  for (const { head, members } of groupByHousehold(voters)) {
+    const extra = greeting
+      ? { greeting: showGreeting ? householdGreeting([head, ...members].map(member => member.last_name)) : null }
+      : {};
+    if (headsOnly) {
+      rows.push({ ...head, household_size: members.length, ...extra });
+    } else {
+      rows.push(...members.map(member => ({ ...member, ...extra })));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Voter name for a sheet row; either part may be hidden by a redaction policy
+ */
+function displayName(voter) {
+  return [voter.first_name, voter.last_name].filter(Boolean).join(' ') || '—';
+}
+
 /**
  * Generate walk sheet content
  */
@@ -340,12 +459,12 @@ function generateWalkSheet(doc, voters) {
     x += colWidths.order;
 
     // Name
-    doc.font('Helvetica').text(`${voter.first_name} ${voter.last_name}`, x, rowY, { width: colWidths.name });
+    doc.font('Helvetica').text(displayName(voter), x, rowY, { width: colWidths.name });
     x += colWidths.name;
 
     // Address (only for first person in household)
     if (isNewHousehold) {
-      const addr = `${voter.street_address}\n${voter.city} ${voter.zip_code}`;
+      const addr = `${voter.street_address || '—'}\n${[voter.city, voter.zip_code].filter(Boolean).join(' ')}`;
       doc.text(addr, x, rowY, { width: colWidths.address });
     }
     x += colWidths.address;
@@ -405,7 +524,7 @@ function generateCallSheet(doc, voters) {
     x = 40;
 
     doc.text((i + 1).toString(), x, rowY, { width: 25 });
-    doc.text(`${voter.first_name} ${voter.last_name}`, x + 25, rowY, { width: 100 });
+    doc.text(displayName(voter), x + 25, rowY, { width: 100 });
     doc.text(voter.phone || '—', x + 125, rowY, { width: 90 });
     doc.text(voter.city || '', x + 215, rowY, { width: 80 });
     doc.text(voter.party || '', x + 295, rowY, { width: 40 });
@@ -422,7 +541,7 @@ function generateCallSheet(doc, voters) {
  * GET /api/export/query
  * Export query results as CSV (without creating a list)
  */
-router.post('/query', async (req, res) => {
+router.post('/query', requirePermission('export'), async (req, res) => {
   try {
     const { query_config, format: exportFormat = 'csv' } = req.body;
 
@@ -430,26 +549,22 @@ router.post('/query', async (req, res) => {
       return res.status(400).json({ error: 'query_config is required' });
     }
 
-    // Build query (simplified - should match query.js logic)
-    const conditions = ['registration_status = \'ACTIVE\''];
-    const params = [];
-    let paramIndex = 1;
+    // Same voter set as /api/query/build for this config
+    const { conditions, params } = buildWhereClause(query_config, { organization: req.organization });
+    rejectHiddenFilters(req, query_config);
 
-    if (query_config.county) {
-      conditions.push(`county_name = ANY($${paramIndex})`);
-      params.push(query_config.county);
-      paramIndex++;
-    }
+    const matchWhereClause = `WHERE ${conditions.join(' AND ')}`;
 
-    if (query_config.party) {
-      conditions.push(`party = ANY($${paramIndex})`);
-      params.push(query_config.party);
-      paramIndex++;
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
     }
 
     const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
-    const voters = await db.manyOrNone(`
+    const counts = await req.db.one(`SELECT ${confidentialCounts(req)} FROM voters ${matchWhereClause}`, params);
+
+    const voters = await req.db.manyOrNone(`
       SELECT
         ncid, first_name, last_name, street_address, city, zip_code,
         county_name, precinct_name, age, sex, party, phone,
@@ -460,20 +575,34 @@ router.post('/query', async (req, res) => {
       LIMIT 50000
     `, params);
 
+    await recordAudit(req, {
+      action: 'export.csv',
+      targetType: 'query',
+      queryConfig: query_config,
+      rowCount: voters.length,
+    });
+
     const filename = `voter_export_${new Date().toISOString().split('T')[0]}.csv`;
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Excluded-Confidential', counts.excluded_confidential);
 
     const csvStream = format({ headers: true });
     csvStream.pipe(res);
 
-    for (const voter of voters) {
+    for (const voter of redactRows(req, voters)) {
       csvStream.write(voter);
     }
 
     csvStream.end();
 
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Query Export Error]', err);
     res.status(500).json({ error: err.message });
   }
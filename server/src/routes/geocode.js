@@ -5,6 +5,11 @@
 
 import { Router } from 'express';
 import { db } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts } from '../middleware/confidential.js';
+import { redactRows } from '../middleware/redaction.js';
+import { householdKey, standardizeAddress } from '../utils/address.js';
 
 const router = Router();
 
@@ -19,7 +24,7 @@ let isProcessing = false;
  * POST /api/geocode/single
  * Geocode a single address
  */
-router.post('/single', async (req, res) => {
+router.post('/single', requirePermission('geocode'), async (req, res) => {
   try {
     const { street, city, state = 'NC', zip } = req.body;
 
@@ -41,7 +46,7 @@ router.post('/single', async (req, res) => {
  * POST /api/geocode/batch
  * Start batch geocoding for voters
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', requirePermission('geocode'), async (req, res) => {
   try {
     const { county, limit = 1000 } = req.body;
 
@@ -92,7 +97,7 @@ router.post('/batch', async (req, res) => {
  * GET /api/geocode/status
  * Get geocoding status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requirePermission('geocode'), async (req, res) => {
   try {
     const status = await db.one(`
       SELECT
@@ -124,7 +129,7 @@ router.get('/status', async (req, res) => {
  * POST /api/geocode/census-batch
  * Use Census Bureau batch geocoder (up to 10,000 addresses)
  */
-router.post('/census-batch', async (req, res) => {
+router.post('/census-batch', requirePermission('geocode'), async (req, res) => {
   try {
     const { county, limit = 10000 } = req.body;
 
@@ -154,7 +159,7 @@ router.post('/census-batch', async (req, res) => {
     // Create CSV for Census batch geocoder
     const csvLines = ['Unique ID, Street address, City, State, ZIP'];
     for (const v of voters) {
-      csvLines.push(`"${v.ncid}","${v.street_address || ''}","${v.city || ''}","${v.state || 'NC'}","${v.zip_code || ''}"`);
+      csvLines.push(`"${v.ncid}","${standardizeAddress(v.street_address, { unit: false })}","${v.city || ''}","${v.state || 'NC'}","${v.zip_code || ''}"`);
     }
 
     // Note: In production, you'd submit this to the Census batch geocoder
@@ -180,7 +185,7 @@ router.post('/census-batch', async (req, res) => {
  * POST /api/geocode/import-results
  * Import geocoding results from Census batch geocoder
  */
-router.post('/import-results', async (req, res) => {
+router.post('/import-results', requirePermission('geocode'), async (req, res) => {
   try {
     const { results } = req.body; // Array of { ncid, lat, lng, match_type }
 
@@ -232,7 +237,7 @@ router.post('/import-results', async (req, res) => {
  * GET /api/geocode/map-data
  * Get voter locations for map display
  */
-router.get('/map-data', async (req, res) => {
+router.get('/map-data', requirePermission('voters:read'), async (req, res) => {
   try {
     const { county, precinct, bounds, limit = 5000 } = req.query;
 
@@ -262,6 +267,14 @@ router.get('/map-data', async (req, res) => {
       paramIndex += 4;
     }
 
+    const matchConditions = [...conditions];
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
+
+    const counts = await db.one(`SELECT ${confidentialCounts(req)} FROM voters WHERE ${matchConditions.join(' AND ')}`, params);
+
     params.push(Math.min(parseInt(limit), 10000));
 
     const voters = await db.manyOrNone(`
@@ -279,10 +292,20 @@ router.get('/map-data', async (req, res) => {
       LIMIT $${paramIndex}
     `, params);
 
+    await recordAudit(req, {
+      action: 'map.data',
+      queryConfig: { county, precinct, bounds, limit },
+      rowCount: voters.length,
+    });
+
     // Format as GeoJSON FeatureCollection
+    // Hidden fields are simply absent; voters whose coordinates are hidden can't be placed on the map
+    const mappable = redactRows(req, voters).filter(v => v.lat !== undefined && v.lng !== undefined);
+
     const geojson = {
       type: 'FeatureCollection',
-      features: voters.map(v => ({
+      excluded_confidential: parseInt(counts.excluded_confidential),
+      features: mappable.map(v => ({
         type: 'Feature',
         geometry: {
           type: 'Point',
@@ -290,7 +313,7 @@ router.get('/map-data', async (req, res) => {
         },
         properties: {
           ncid: v.ncid,
-          name: `${v.first_name} ${v.last_name}`,
+          name: [v.first_name, v.last_name].filter(Boolean).join(' ') || undefined,
           address: v.street_address,
           party: v.party,
           turnout: v.turnout_score,
@@ -308,9 +331,10 @@ router.get('/map-data', async (req, res) => {
 
 /**
  * Geocode a single address using Nominatim
+ * The street is standardized without its unit, which geocoders don't resolve anyway.
  */
 async function geocodeAddress(street, city, state, zip) {
-  const address = `${street}, ${city}, ${state} ${zip}`;
+  const address = `${standardizeAddress(street, { unit: false }) || street}, ${city}, ${state} ${zip}`;
 
   try {
     const url = new URL(`${NOMINATIM_URL}/search`);
@@ -350,15 +374,26 @@ async function geocodeAddress(street, city, state, zip) {
 
 /**
  * Process batch geocoding in background
+ * Voters at the same building (standardized address) share one lookup.
  */
 async function processBatchGeocode(voters, jobId) {
-  console.log(`[Geocode Job ${jobId}] Starting batch geocode for ${voters.length} voters`);
+  const buildings = new Map();
+  for (const voter of voters) {
+    const key = householdKey(voter, 'building');
+    if (!buildings.has(key)) buildings.set(key, []);
+    buildings.get(key).push(voter);
+  }
+
+  console.log(`[Geocode Job ${jobId}] Starting batch geocode for ${voters.length} voters at ${buildings.size} addresses`);
 
   let processed = 0;
   let success = 0;
   let failed = 0;
 
-  for (const voter of voters) {
+  for (const residents of buildings.values()) {
+    const [voter] = residents;
+    const ncids = residents.map(r => r.ncid);
+
     try {
       // Rate limit: 1 request per second for Nominatim
       await new Promise(resolve => setTimeout(resolve, 1100));
@@ -376,29 +411,28 @@ async function processBatchGeocode(voters, jobId) {
           SET location = ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
               geocode_status = 'success',
               updated_at = NOW()
-          WHERE ncid = $3
-        `, [result.lng, result.lat, voter.ncid]);
-        success++;
+          WHERE ncid = ANY($3)
+        `, [result.lng, result.lat, ncids]);
+        success += ncids.length;
       } else {
         await db.none(`
           UPDATE voters
           SET geocode_status = 'failed',
               updated_at = NOW()
-          WHERE ncid = $1
-        `, [voter.ncid]);
-        failed++;
-      }
-
-      processed++;
-
-      if (processed % 100 === 0) {
-        console.log(`[Geocode Job ${jobId}] Progress: ${processed}/${voters.length} (${success} success, ${failed} failed)`);
+          WHERE ncid = ANY($1)
+        `, [ncids]);
+        failed += ncids.length;
       }
 
     } catch (err) {
       console.error(`[Geocode Job ${jobId}] Error for ${voter.ncid}:`, err.message);
-      failed++;
-      processed++;
+      failed += ncids.length;
+    }
+
+    const before = processed;
+    processed += ncids.length;
+    if (Math.floor(processed / 100) > Math.floor(before / 100)) {
+      console.log(`[Geocode Job ${jobId}] Progress: ${processed}/${voters.length} (${success} success, ${failed} failed)`);
     }
   }
 
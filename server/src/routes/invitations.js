@@ -0,0 +1,245 @@
+/**
+ * Invitations API Routes
+ * Single-use invitation tokens for onboarding volunteers into an organization
+ */
+
+import { Router } from 'express';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { sendMail } from '../config/mail.js';
+import { ROLES, requirePermission } from '../middleware/permissions.js';
+import { authMiddleware, createSession, hashToken } from './auth.js';
+
+const router = Router();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:8000';
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 30;
+
+/**
+ * POST /api/invitations
+ * Invite someone to the caller's organization with a preset role
+ */
+router.post('/', authMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { email, role = 'canvasser', expires_in_days = DEFAULT_INVITE_DAYS } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (role === 'admin' && req.userRole !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can invite admins' });
+    }
+
+    const days = Math.min(Math.max(parseInt(expires_in_days) || DEFAULT_INVITE_DAYS, 1), MAX_INVITE_DAYS);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const invitation = await db.one(`
+      INSERT INTO invitations (organization, email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 day')
+      RETURNING id, email, role, expires_at, created_at
+    `, [organization, email ? email.toLowerCase() : null, role, hashToken(token), userId, days]);
+
+    const inviteUrl = `${APP_URL}/invite?token=${token}`;
+
+    let emailSent = false;
+    if (email) {
+      try {
+        await sendMail({
+          to: email,
+          subject: `You're invited to join ${organization} on CivicVoice`,
+          text: [
+            `You've been invited to join ${organization} on CivicVoice as a ${role}.`,
+            '',
+            `Accept the invitation: ${inviteUrl}`,
+            '',
+            `This link can be used once and expires in ${days} day${days === 1 ? '' : 's'}.`,
+          ].join('\n'),
+        });
+        emailSent = true;
+      } catch (mailErr) {
+        console.error('[Invitation Mail Error]', mailErr);
+      }
+    }
+
+    res.status(201).json({
+      ...invitation,
+      invite_url: inviteUrl,
+      email_sent: emailSent,
+    });
+
+  } catch (err) {
+    console.error('[Create Invitation Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/invitations
+ * List pending invitations for the caller's organization
+ */
+router.get('/', authMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const invitations = await db.manyOrNone(`
+      SELECT
+        i.id,
+        i.email,
+        i.role,
+        i.expires_at,
+        i.created_at,
+        u.name as invited_by_name
+      FROM invitations i
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.organization = $1
+        AND i.accepted_at IS NULL
+        AND i.revoked_at IS NULL
+        AND i.expires_at > NOW()
+      ORDER BY i.created_at DESC
+    `, [req.organization]);
+
+    res.json(invitations);
+
+  } catch (err) {
+    console.error('[List Invitations Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/invitations/:id
+ * Revoke a pending invitation
+ */
+router.delete('/:id', authMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const result = await db.result(`
+      UPDATE invitations
+      SET revoked_at = NOW()
+      WHERE id = $1 AND organization = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    `, [req.params.id, req.organization]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Revoke Invitation Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/invitations/lookup?token=...
+ * Preview an invitation before accepting it (public)
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const invitation = await db.oneOrNone(`
+      SELECT organization, email, role, expires_at
+      FROM invitations
+      WHERE token_hash = $1
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > NOW()
+    `, [hashToken(token)]);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid, expired or already used' });
+    }
+
+    res.json(invitation);
+
+  } catch (err) {
+    console.error('[Lookup Invitation Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/invitations/accept
+ * Accept an invitation, creating the account inside the inviting organization (public)
+ */
+router.post('/accept', async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token and password are required' });
+    }
+
+    const invitation = await db.oneOrNone(`
+      SELECT id, organization, email, role
+      FROM invitations
+      WHERE token_hash = $1
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > NOW()
+    `, [hashToken(token)]);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid, expired or already used' });
+    }
+
+    // Invitations issued without an email let the invitee choose one
+    const email = (invitation.email || req.body.email || '').toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+
+    const existing = await db.oneOrNone('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const user = await db.tx(async t => {
+      // Claim the invitation atomically so it can only be used once
+      const claimed = await t.oneOrNone(`
+        UPDATE invitations
+        SET accepted_at = NOW()
+        WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+        RETURNING id
+      `, [invitation.id]);
+
+      if (!claimed) {
+        return null;
+      }
+
+      const created = await t.one(`
+        INSERT INTO users (email, password_hash, name, role, organization)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, email, name, role, organization
+      `, [email, passwordHash, name, invitation.role, invitation.organization]);
+
+      await t.none('UPDATE invitations SET accepted_by = $1 WHERE id = $2', [created.id, invitation.id]);
+
+      return created;
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Invitation is invalid, expired or already used' });
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.status(201).json({ user, ...tokens });
+
+  } catch (err) {
+    console.error('[Accept Invitation Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
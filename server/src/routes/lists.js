@@ -5,17 +5,41 @@
 
 import { Router } from 'express';
 import { db, pgp } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts } from '../middleware/confidential.js';
+import { buildWhereClause, QueryConfigError } from '../query/compiler.js';
+import { parseSeed, sampleSize, seededOrder } from '../query/sampling.js';
+import { refreshDynamicList } from '../utils/dynamic-lists.js';
+import { groupHouseholds, selectHouseholdHeads } from '../utils/households.js';
+import { parseHeadRules } from '../query/household-heads.js';
+import { HOUSEHOLD_MODES } from '../utils/address.js';
 import crypto from 'crypto';
 
 const router = Router();
 
+const LIST_TYPES = ['static', 'dynamic'];
+
+// Set operations: which grouped ncids (over the source lists) make it into the new list
+const SET_OPERATIONS = {
+  union: '',
+  intersection: 'HAVING COUNT(DISTINCT list_id) = $3',
+  difference: 'HAVING bool_and(list_id = $4)',
+};
+
+// list_voters columns that can be copied from one source list
+const CARRY_FIELDS = ['household_id', 'contact_status', 'turf_id'];
+
+// Voters named in a refresh response (the full NCID lists are kept in list_refreshes)
+const REFRESH_REPORT_LIMIT = 500;
+
 /**
  * GET /api/lists
  * List all lists for the user
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('lists:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
 
     const lists = await db.manyOrNone(`
       SELECT
@@ -25,14 +49,15 @@ router.get('/', async (req, res) => {
         l.voter_count,
         l.list_type,
         l.settings,
+        l.tags,
         l.created_at,
         l.updated_at,
         sq.name as source_query_name
       FROM lists l
       LEFT JOIN saved_queries sq ON l.source_query_id = sq.id
-      WHERE l.user_id = $1
+      WHERE l.organization = $1
       ORDER BY l.updated_at DESC
-    `, [userId]);
+    `, [organization]);
 
     res.json(lists);
 
@@ -46,10 +71,10 @@ router.get('/', async (req, res) => {
  * POST /api/lists
  * Create a new list from a query
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('lists:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
-    const { name, description, query_config, source_query_id, list_type = 'static' } = req.body;
+    const { userId, organization } = req;
+    const { name, description, query_config, source_query_id, list_type = 'static', tags = [] } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Name is required' });
@@ -59,25 +84,44 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Either query_config or source_query_id is required' });
     }
 
+    if (!LIST_TYPES.includes(list_type)) {
+      return res.status(400).json({ error: `list_type must be one of ${LIST_TYPES.join(', ')}` });
+    }
+
     // Get query config from saved query if using source_query_id
     let config = query_config;
     if (source_query_id) {
-      const savedQuery = await db.oneOrNone('SELECT query_config FROM saved_queries WHERE id = $1', [source_query_id]);
-      if (savedQuery) {
-        config = savedQuery.query_config;
+      const savedQuery = await db.oneOrNone(
+        'SELECT query_config FROM saved_queries WHERE id = $1 AND organization = $2',
+        [source_query_id, organization]
+      );
+      if (!savedQuery) {
+        return res.status(404).json({ error: 'Saved query not found' });
       }
+      config = savedQuery.query_config;
     }
 
-    // Build the query to get voters
-    const { conditions, params } = buildQueryConditions(config);
+    // Build the query to get voters ($1 is the list id)
+    const { conditions, params } = buildWhereClause(config, { startParamIndex: 2, organization });
+    const matchWhereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     // Create the list
+    // Dynamic refreshes keep the creator's confidential visibility
+    const settings = list_type === 'dynamic'
+      ? { query_config: config, include_confidential: req.includeConfidential }
+      : { query_config: config };
+
     const list = await db.one(`
-      INSERT INTO lists (user_id, name, description, source_query_id, list_type, settings)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, name, created_at
-    `, [userId, name, description, source_query_id, list_type, { query_config: config }]);
+      INSERT INTO lists (user_id, organization, name, description, source_query_id, list_type, settings, tags)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, name, list_type, tags, created_at
+    `, [userId, organization, name, description, source_query_id, list_type, settings, normalizeTags(tags)]);
 
     // Populate list with voters
     const insertQuery = `
@@ -93,71 +137,273 @@ router.post('/', async (req, res) => {
     const countResult = await db.one('SELECT COUNT(*) as count FROM list_voters WHERE list_id = $1', [list.id]);
     await db.none('UPDATE lists SET voter_count = $1 WHERE id = $2', [countResult.count, list.id]);
 
+    // Parameters in the match clause start at $2
+    const matchCounts = await db.one(`SELECT ${confidentialCounts(req)} FROM voters ${matchWhereClause}`, [list.id, ...params]);
+
     res.json({
       ...list,
       voter_count: parseInt(countResult.count),
+      excluded_confidential: parseInt(matchCounts.excluded_confidential),
     });
 
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('[Create List Error]', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Helper to build query conditions
+ * Lowercase, trim and de-duplicate list tags
  */
-function buildQueryConditions(config) {
-  const conditions = ['registration_status = \'ACTIVE\''];
-  const params = [];
-  let paramIndex = 2; // Start at 2 because 1 is list_id
-
-  if (config.county && config.county.length > 0) {
-    conditions.push(`county_name = ANY($${paramIndex})`);
-    params.push(config.county);
-    paramIndex++;
-  }
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
 
-  if (config.precincts && config.precincts.length > 0) {
-    conditions.push(`precinct_name = ANY($${paramIndex})`);
-    params.push(config.precincts);
-    paramIndex++;
-  }
+/**
+ * POST /api/lists/sample
+ * Create a list from a reproducible random sample of a query or another list
+ *
+ * Body: name, one of query_config / source_query_id / list_id, one of size / percent,
+ * optional seed (generated and returned when omitted), description, tags
+ */
+router.post('/sample', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { name, description, query_config, source_query_id, list_id, size, percent, tags = [] } = req.body;
 
-  if (config.party && config.party.length > 0) {
-    conditions.push(`party = ANY($${paramIndex})`);
-    params.push(config.party);
-    paramIndex++;
-  }
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
 
-  if (config.age_min !== undefined) {
-    conditions.push(`age >= $${paramIndex}`);
-    params.push(config.age_min);
-    paramIndex++;
-  }
+    if ([query_config, source_query_id, list_id].filter(source => source !== undefined && source !== null).length !== 1) {
+      return res.status(400).json({ error: 'Give exactly one of query_config, source_query_id or list_id' });
+    }
+
+    const seed = parseSeed(req.body.seed);
+
+    // $1 list id, $2 seed, $3 sample size; the universe's parameters follow
+    let conditions;
+    let params;
+    let config = null;
+
+    if (list_id !== undefined && list_id !== null) {
+      const source = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND organization = $2', [list_id, organization]);
+      if (!source) {
+        return res.status(404).json({ error: 'Source list not found' });
+      }
+      conditions = ['ncid IN (SELECT ncid FROM list_voters WHERE list_id = $4)'];
+      params = [source.id];
+    } else {
+      config = query_config;
+      if (source_query_id) {
+        const savedQuery = await db.oneOrNone(
+          'SELECT query_config FROM saved_queries WHERE id = $1 AND organization = $2',
+          [source_query_id, organization]
+        );
+        if (!savedQuery) {
+          return res.status(404).json({ error: 'Saved query not found' });
+        }
+        config = savedQuery.query_config;
+      }
+      ({ conditions, params } = buildWhereClause(config, { startParamIndex: 4, organization }));
+    }
+
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const universe = await db.one(`SELECT COUNT(*) AS count FROM voters ${whereClause}`, [null, seed, null, ...params]);
+    const n = sampleSize({ size, percent }, parseInt(universe.count));
+
+    const sample = {
+      seed,
+      size: size ?? null,
+      percent: percent ?? null,
+      universe: parseInt(universe.count),
+      source_list_id: list_id ?? null,
+    };
+
+    const list = await db.tx(async t => {
+      const created = await t.one(`
+        INSERT INTO lists (user_id, organization, name, description, source_query_id, list_type, settings, tags)
+        VALUES ($1, $2, $3, $4, $5, 'static', $6, $7)
+        RETURNING id, name, tags, created_at
+      `, [userId, organization, name, description, source_query_id ?? null, { query_config: config, sample }, normalizeTags(tags)]);
+
+      // Draw by seed, then store in the usual name order
+      const drawn = await t.result(`
+        INSERT INTO list_voters (list_id, ncid, sort_order)
+        SELECT $1, ncid, ROW_NUMBER() OVER (ORDER BY last_name, first_name)
+        FROM (
+          SELECT ncid, last_name, first_name
+          FROM voters
+          ${whereClause}
+          ORDER BY ${seededOrder('ncid', '$2')}
+          LIMIT $3
+        ) drawn
+      `, [created.id, seed, n, ...params]);
+
+      // The universe may have changed since it was counted, so store what was actually drawn
+      await t.none('UPDATE lists SET voter_count = $1 WHERE id = $2', [drawn.rowCount, created.id]);
+      return { ...created, voter_count: drawn.rowCount };
+    });
 
-  if (config.age_max !== undefined) {
-    conditions.push(`age <= $${paramIndex}`);
-    params.push(config.age_max);
-    paramIndex++;
+    res.json({
+      ...list,
+      sample,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Sample List Error]', err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  if (config.turnout_min !== undefined) {
-    conditions.push(`turnout_score >= $${paramIndex}`);
-    params.push(config.turnout_min);
-    paramIndex++;
+/**
+ * POST /api/lists/combine
+ * Create a list from the union, intersection or difference of two or more lists
+ *
+ * Body: name, operation, list_ids (difference keeps voters on the first list and none of the
+ * others), carry_over ({ from: list id, fields: ['household_id', 'contact_status', 'turf_id'] }),
+ * description, tags
+ */
+router.post('/combine', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { name, description, operation, list_ids, carry_over, tags = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!Object.hasOwn(SET_OPERATIONS, operation)) {
+      return res.status(400).json({ error: `operation must be one of ${Object.keys(SET_OPERATIONS).join(', ')}` });
+    }
+
+    const ids = Array.isArray(list_ids) ? [...new Set(list_ids.map(id => parseInt(id)))] : [];
+    if (ids.length < 2 || ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: 'list_ids must name at least two different lists' });
+    }
+
+    const carryFrom = carry_over?.from !== undefined ? parseInt(carry_over.from) : null;
+    const carryFields = carry_over?.fields || (carryFrom ? CARRY_FIELDS : []);
+    if (carryFrom !== null && !ids.includes(carryFrom)) {
+      return res.status(400).json({ error: 'carry_over.from must be one of list_ids' });
+    }
+    if (!Array.isArray(carryFields) || carryFields.some(field => !CARRY_FIELDS.includes(field))) {
+      return res.status(400).json({ error: `carry_over.fields must be drawn from ${CARRY_FIELDS.join(', ')}` });
+    }
+    if (carryFields.length > 0 && carryFrom === null) {
+      return res.status(400).json({ error: 'carry_over.from is required to carry fields' });
+    }
+
+    const sources = await db.manyOrNone('SELECT id, name FROM lists WHERE id = ANY($1) AND organization = $2', [ids, organization]);
+    if (sources.length !== ids.length) {
+      const found = new Set(sources.map(source => source.id));
+      return res.status(404).json({ error: `List not found: ${ids.filter(id => !found.has(id)).join(', ')}` });
+    }
+
+    // The carry-over list (or else the first list) also decides the order
+    const orderFrom = carryFrom ?? ids[0];
+    const carried = CARRY_FIELDS.map(field => (carryFields.includes(field) ? `src.${field}` : 'NULL'));
+
+    const confidential = confidentialCondition(req, 'v');
+
+    const list = await db.tx(async t => {
+      const created = await t.one(`
+        INSERT INTO lists (user_id, organization, name, description, list_type, settings, tags)
+        VALUES ($1, $2, $3, $4, 'static', $5, $6)
+        RETURNING id, name, tags, created_at
+      `, [userId, organization, name, description, {
+        combined: { operation, list_ids: ids, carry_over: carryFrom ? { from: carryFrom, fields: carryFields } : null },
+      }, normalizeTags(tags)]);
+
+      const result = await t.result(`
+        INSERT INTO list_voters (list_id, ncid, sort_order, ${CARRY_FIELDS.join(', ')})
+        SELECT
+          $1,
+          picked.ncid,
+          ROW_NUMBER() OVER (ORDER BY src.sort_order NULLS LAST, v.last_name, v.first_name),
+          ${carried.join(', ')}
+        FROM (
+          SELECT ncid
+          FROM list_voters
+          WHERE list_id = ANY($2)
+          GROUP BY ncid
+          ${SET_OPERATIONS[operation]}
+        ) picked
+        JOIN voters v ON v.ncid = picked.ncid
+        LEFT JOIN list_voters src ON src.list_id = $5 AND src.ncid = picked.ncid
+        ${confidential ? `WHERE ${confidential}` : ''}
+      `, [created.id, ids, ids.length, ids[0], orderFrom]);
+
+      await t.none('UPDATE lists SET voter_count = $1 WHERE id = $2', [result.rowCount, created.id]);
+      return { ...created, voter_count: result.rowCount };
+    });
+
+    res.json({
+      ...list,
+      operation,
+      sources: ids.map(id => sources.find(source => source.id === id)),
+    });
+
+  } catch (err) {
+    console.error('[Combine Lists Error]', err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  return { conditions, params };
-}
+/**
+ * PUT /api/lists/:id
+ * Update a list's name, description or tags
+ */
+router.put('/:id', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, tags } = req.body;
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    const list = await db.oneOrNone(`
+      UPDATE lists
+      SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        tags = COALESCE($3, tags),
+        updated_at = NOW()
+      WHERE id = $4 AND organization = $5
+      RETURNING id, name, description, tags, updated_at
+    `, [name ?? null, description ?? null, tags !== undefined ? normalizeTags(tags) : null, id, req.organization]);
+
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json(list);
+
+  } catch (err) {
+    console.error('[Update List Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
 /**
  * GET /api/lists/:id
  * Get list details
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('lists:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
     const list = await db.oneOrNone(`
@@ -167,8 +413,8 @@ router.get('/:id', async (req, res) => {
         sq.query_config as source_query_config
       FROM lists l
       LEFT JOIN saved_queries sq ON l.source_query_id = sq.id
-      WHERE l.id = $1 AND l.user_id = $2
-    `, [id, userId]);
+      WHERE l.id = $1 AND l.organization = $2
+    `, [id, organization]);
 
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
@@ -199,25 +445,30 @@ router.get('/:id', async (req, res) => {
  * GET /api/lists/:id/voters
  * Get voters in a list with pagination
  */
-router.get('/:id/voters', async (req, res) => {
+router.get('/:id/voters', requirePermission('lists:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
     const { limit = 50, offset = 0, household_only = false } = req.query;
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
 
+    // Lists created before confidential filtering (or by an admin who included them) may contain them
+    const confidential = confidentialCondition(req, 'v');
+    const confidentialClause = confidential ? `AND ${confidential}` : '';
+
     let query;
     if (household_only === 'true') {
-      // Return one voter per household
+      // Return one voter per household: its head (POST /:id/household-heads), else the first listed
       query = `
         SELECT DISTINCT ON (lv.household_id)
           lv.sort_order,
           lv.household_id,
+          lv.is_household_head,
           lv.contact_status,
           v.ncid,
           v.first_name,
@@ -232,8 +483,8 @@ router.get('/:id/voters', async (req, res) => {
           (SELECT COUNT(*) FROM list_voters lv2 WHERE lv2.list_id = $1 AND lv2.household_id = lv.household_id) as household_size
         FROM list_voters lv
         JOIN voters v ON lv.ncid = v.ncid
-        WHERE lv.list_id = $1
-        ORDER BY lv.household_id, lv.sort_order
+        WHERE lv.list_id = $1 ${confidentialClause}
+        ORDER BY lv.household_id, lv.is_household_head DESC, lv.sort_order
         LIMIT $2 OFFSET $3
       `;
     } else {
@@ -241,6 +492,7 @@ router.get('/:id/voters', async (req, res) => {
         SELECT
           lv.sort_order,
           lv.household_id,
+          lv.is_household_head,
           lv.contact_status,
           lv.contact_notes,
           v.ncid,
@@ -257,7 +509,7 @@ router.get('/:id/voters', async (req, res) => {
           v.partisan_score
         FROM list_voters lv
         JOIN voters v ON lv.ncid = v.ncid
-        WHERE lv.list_id = $1
+        WHERE lv.list_id = $1 ${confidentialClause}
         ORDER BY lv.sort_order
         LIMIT $2 OFFSET $3
       `;
@@ -265,13 +517,27 @@ router.get('/:id/voters', async (req, res) => {
 
     const voters = await db.manyOrNone(query, [id, parseInt(limit), parseInt(offset)]);
 
-    const totalResult = await db.one('SELECT COUNT(*) as total FROM list_voters WHERE list_id = $1', [id]);
+    const totalResult = await db.one(`
+      SELECT ${confidentialCounts(req, 'v')}
+      FROM list_voters lv
+      JOIN voters v ON lv.ncid = v.ncid
+      WHERE lv.list_id = $1
+    `, [id]);
+
+    await recordAudit(req, {
+      action: 'list.voters',
+      targetType: 'list',
+      targetId: id,
+      rowCount: voters.length,
+      details: { limit: parseInt(limit), offset: parseInt(offset), household_only: household_only === 'true' },
+    });
 
     res.json({
       voters,
       total: parseInt(totalResult.total),
       limit: parseInt(limit),
       offset: parseInt(offset),
+      excluded_confidential: parseInt(totalResult.excluded_confidential),
     });
 
   } catch (err) {
@@ -282,51 +548,33 @@ router.get('/:id/voters', async (req, res) => {
 
 /**
  * POST /api/lists/:id/household
- * Group list voters by household (address clustering)
+ * Group list voters by household (standardized address) and reorder them for walking
+ * Body: mode - 'unit' (default: each apartment is a household) or 'building'
  */
-router.post('/:id/household', async (req, res) => {
+router.post('/:id/household', requirePermission('lists:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
+    const { mode = 'unit' } = req.body;
+
+    if (!HOUSEHOLD_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${HOUSEHOLD_MODES.join(', ')}` });
+    }
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const list = await db.oneOrNone('SELECT id, settings FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
 
-    // Generate household IDs based on address
-    await db.none(`
-      UPDATE list_voters lv
-      SET household_id = subq.household_id
-      FROM (
-        SELECT
-          lv2.ncid,
-          MD5(UPPER(COALESCE(v.street_address, '') || '|' || COALESCE(v.city, '') || '|' || COALESCE(v.zip_code, ''))) as household_id
-        FROM list_voters lv2
-        JOIN voters v ON lv2.ncid = v.ncid
-        WHERE lv2.list_id = $1
-      ) subq
-      WHERE lv.list_id = $1 AND lv.ncid = subq.ncid
-    `, [id]);
-
-    // Reorder by address for walking efficiency
-    await db.none(`
-      WITH ordered AS (
-        SELECT
-          lv.ncid,
-          ROW_NUMBER() OVER (
-            ORDER BY v.zip_code, v.street_address, v.last_name, v.first_name
-          ) as new_order
-        FROM list_voters lv
-        JOIN voters v ON lv.ncid = v.ncid
-        WHERE lv.list_id = $1
-      )
-      UPDATE list_voters lv
-      SET sort_order = ordered.new_order
-      FROM ordered
-      WHERE lv.list_id = $1 AND lv.ncid = ordered.ncid
-    `, [id]);
+    // Generate household IDs and walking order from standardized addresses
+    await db.tx(async t => {
+      await groupHouseholds(t, id, { mode });
+      // Households changed, so heads chosen earlier are re-picked with the same rules
+      if (list.settings?.household_head_rules) {
+        await selectHouseholdHeads(t, id, list.settings.household_head_rules);
+      }
+    });
 
     // Get household stats
     const stats = await db.one(`
@@ -345,12 +593,13 @@ router.post('/:id/household', async (req, res) => {
     // Update list settings
     await db.none(`
       UPDATE lists
-      SET settings = settings || '{"household_grouped": true}'::jsonb, updated_at = NOW()
+      SET settings = settings || jsonb_build_object('household_grouped', true, 'household_mode', $2::text), updated_at = NOW()
       WHERE id = $1
-    `, [id]);
+    `, [id, mode]);
 
     res.json({
       success: true,
+      mode,
       ...stats,
     });
 
@@ -360,25 +609,167 @@ router.post('/:id/household', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/lists/:id/household-heads
+ * Mark one head per household, the voter walk sheets and mailings target
+ *
+ * Body: rules - applied in order, e.g. ['not_contacted', { rule: 'party', party: 'DEM' }, 'turnout_score']
+ * (not_contacted, turnout_score, oldest, longest_registered, party; default not_contacted then
+ * turnout_score). The rules are saved and re-applied when the list is regrouped or refreshed.
+ */
+router.post('/:id/household-heads', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { id } = req.params;
+    const rules = parseHeadRules(req.body.rules);
+
+    const list = await db.oneOrNone('SELECT id, settings FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+    if (!list.settings?.household_grouped) {
+      return res.status(400).json({ error: 'Group the list by household first' });
+    }
+
+    const households = await db.tx(async t => {
+      const heads = await selectHouseholdHeads(t, id, rules);
+      await t.none(`
+        UPDATE lists
+        SET settings = settings || jsonb_build_object('household_head_rules', $2::jsonb), updated_at = NOW()
+        WHERE id = $1
+      `, [id, JSON.stringify(rules)]);
+      return heads;
+    });
+
+    res.json({
+      success: true,
+      rules,
+      households,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Household Heads Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/lists/:id/refresh
+ * Re-run a dynamic list's query, keeping contact status, household and turf for voters who stay
+ */
+router.post('/:id/refresh', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const list = await db.oneOrNone(
+      'SELECT id, organization, list_type, settings FROM lists WHERE id = $1 AND organization = $2',
+      [req.params.id, req.organization]
+    );
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+    if (list.list_type !== 'dynamic') {
+      return res.status(400).json({ error: 'Only dynamic lists can be refreshed' });
+    }
+
+    const result = await refreshDynamicList(list, { trigger: 'manual', userId: req.userId });
+
+    // Name the first few changes; the counts and list_refreshes have the rest
+    const reported = [...result.added.slice(0, REFRESH_REPORT_LIMIT), ...result.removed.slice(0, REFRESH_REPORT_LIMIT)];
+    const voters = reported.length > 0
+      ? await db.manyOrNone(`
+          SELECT ncid, first_name, last_name, street_address, city, party
+          FROM voters
+          WHERE ncid = ANY($1)
+          ORDER BY last_name, first_name
+        `, [reported])
+      : [];
+    const removed = new Set(result.removed);
+
+    await recordAudit(req, {
+      action: 'list.refresh',
+      targetType: 'list',
+      targetId: list.id,
+      queryConfig: list.settings?.query_config,
+      rowCount: voters.length,
+      details: { added: result.added.length, removed: result.removed.length },
+    });
+
+    res.json({
+      refresh_id: result.refresh_id,
+      refreshed_at: result.refreshed_at,
+      voter_count: result.voter_count,
+      added_count: result.added.length,
+      removed_count: result.removed.length,
+      added: voters.filter(voter => !removed.has(voter.ncid)),
+      removed: voters.filter(voter => removed.has(voter.ncid)),
+      truncated: result.added.length > REFRESH_REPORT_LIMIT || result.removed.length > REFRESH_REPORT_LIMIT,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Refresh List Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/lists/:id/refreshes
+ * Refresh history of a dynamic list (counts; pass include_ncids=true for the NCIDs)
+ */
+router.get('/:id/refreshes', requirePermission('lists:read'), async (req, res) => {
+  try {
+    const { limit = 20, include_ncids } = req.query;
+
+    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND organization = $2', [req.params.id, req.organization]);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const refreshes = await db.manyOrNone(`
+      SELECT
+        r.id, r.trigger, r.added_count, r.removed_count, r.voter_count, r.refreshed_at,
+        ${include_ncids === 'true' ? 'r.added, r.removed,' : ''}
+        u.email AS refreshed_by
+      FROM list_refreshes r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.list_id = $1
+      ORDER BY r.refreshed_at DESC
+      LIMIT $2
+    `, [list.id, Math.min(parseInt(limit) || 20, 200)]);
+
+    res.json(refreshes);
+
+  } catch (err) {
+    console.error('[List Refreshes Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * POST /api/lists/:id/randomize
- * Randomize the order of voters in a list
+ * Randomize the order of voters in a list (reproducibly when a seed is given)
  */
-router.post('/:id/randomize', async (req, res) => {
+router.post('/:id/randomize', requirePermission('lists:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
 
+    const seed = req.body?.seed !== undefined ? parseSeed(req.body.seed) : null;
+
     // Randomize order
     await db.none(`
       WITH shuffled AS (
-        SELECT ncid, ROW_NUMBER() OVER (ORDER BY RANDOM()) as new_order
+        SELECT ncid, ROW_NUMBER() OVER (ORDER BY ${seed ? seededOrder('ncid', '$2') : 'RANDOM()'}) as new_order
         FROM list_voters
         WHERE list_id = $1
       )
@@ -386,17 +777,20 @@ router.post('/:id/randomize', async (req, res) => {
       SET sort_order = shuffled.new_order
       FROM shuffled
       WHERE lv.list_id = $1 AND lv.ncid = shuffled.ncid
-    `, [id]);
+    `, [id, seed]);
 
     await db.none(`
       UPDATE lists
-      SET settings = settings || '{"randomized": true}'::jsonb, updated_at = NOW()
+      SET settings = settings || jsonb_build_object('randomized', true, 'random_seed', $2::text), updated_at = NOW()
       WHERE id = $1
-    `, [id]);
+    `, [id, seed]);
 
-    res.json({ success: true });
+    res.json({ success: true, seed });
 
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('[Randomize Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -406,12 +800,12 @@ router.post('/:id/randomize', async (req, res) => {
  * DELETE /api/lists/:id
  * Delete a list
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('lists:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
-    await db.none('DELETE FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    await db.none('DELETE FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
 
     res.json({ success: true });
 
@@ -425,37 +819,39 @@ router.delete('/:id', async (req, res) => {
  * POST /api/lists/:id/duplicate
  * Duplicate a list
  */
-router.post('/:id/duplicate', async (req, res) => {
+router.post('/:id/duplicate', requirePermission('lists:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const { userId, organization } = req;
     const { id } = req.params;
     const { name } = req.body;
 
     // Get original list
-    const original = await db.oneOrNone('SELECT * FROM lists WHERE id = $1 AND user_id = $2', [id, userId]);
+    const original = await db.oneOrNone('SELECT * FROM lists WHERE id = $1 AND organization = $2', [id, organization]);
     if (!original) {
       return res.status(404).json({ error: 'List not found' });
     }
 
     // Create new list
     const newList = await db.one(`
-      INSERT INTO lists (user_id, name, description, source_query_id, list_type, voter_count, settings)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, name, voter_count, created_at
+      INSERT INTO lists (user_id, organization, name, description, source_query_id, list_type, voter_count, settings, tags)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id, name, voter_count, tags, created_at
     `, [
       userId,
+      organization,
       name || `${original.name} (copy)`,
       original.description,
       original.source_query_id,
       original.list_type,
       original.voter_count,
       original.settings,
+      original.tags,
     ]);
 
-    // Copy voters
+    // Copy voters, with the household heads and contact status the copied head rules were applied to
     await db.none(`
-      INSERT INTO list_voters (list_id, ncid, sort_order, household_id, turf_id)
-      SELECT $1, ncid, sort_order, household_id, turf_id
+      INSERT INTO list_voters (list_id, ncid, sort_order, household_id, turf_id, is_household_head, contact_status)
+      SELECT $1, ncid, sort_order, household_id, turf_id, is_household_head, contact_status
       FROM list_voters
       WHERE list_id = $2
     `, [newList.id, id]);
@@ -4,380 +4,587 @@
  */
 
 import { Router } from 'express';
-import { db } from '../config/database.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
+import { isStatementTimeout, sendStatementTimeout } from '../middleware/timeouts.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts } from '../middleware/confidential.js';
+import { redactRows, isFieldHidden, rejectHiddenFilters } from '../middleware/redaction.js';
+import { buildWhereClause, QueryConfigError } from '../query/compiler.js';
+import { explainWarnings } from '../query/explain.js';
+import { parseQueryText, formatQueryText, QueryTextError } from '../query/text.js';
+import { FACET_FIELDS, parseFacets, parseFacetLimit, facetQuery, groupFacets } from '../query/facets.js';
+import { parsePage, parseSort, orderByClause, encodeCursor, decodeCursor, keysetCondition, rowSortValues } from '../query/pagination.js';
+import { parseOverlapSets, overlapRegions, parseRegion, overlapCte } from '../query/overlap.js';
 
 const router = Router();
 
+const VOTER_COLUMNS = `
+  ncid,
+  first_name,
+  middle_name,
+  last_name,
+  name_suffix,
+  street_address,
+  city,
+  zip_code,
+  county_name,
+  precinct_name,
+  congressional_district,
+  nc_senate_district,
+  nc_house_district,
+  municipality,
+  age,
+  sex,
+  race,
+  ethnicity,
+  party,
+  registration_date,
+  phone,
+  turnout_score,
+  partisan_score,
+  ST_Y(location::geometry) as latitude,
+  ST_X(location::geometry) as longitude
+`;
+
+const COUNT_MODES = ['exact', 'estimate', 'none'];
+const MAX_PAGE_SIZE = 10000;
+const STREAM_BATCH_SIZE = 2000;
+
 /**
- * Build WHERE clause from query configuration
+ * Sort keys the caller may use: next_cursor carries the last row's sort values, so a field the
+ * redaction policy hides can't be sorted on. The default order just leaves hidden fields out.
  */
-function buildWhereClause(config) {
-  const conditions = [];
-  const params = [];
-  let paramIndex = 1;
-
-  // Geography filters
-  if (config.county && config.county.length > 0) {
-    conditions.push(`county_name = ANY($${paramIndex})`);
-    params.push(config.county);
-    paramIndex++;
-  }
+function visibleSort(req, orderBy) {
+  const keys = parseSort(orderBy);
+  const hidden = keys.filter(key => isFieldHidden(req, key.field));
+  if (hidden.length === 0) return keys;
 
-  if (config.precincts && config.precincts.length > 0) {
-    conditions.push(`precinct_name = ANY($${paramIndex})`);
-    params.push(config.precincts);
-    paramIndex++;
+  if (typeof orderBy === 'string' && orderBy.trim()) {
+    throw new QueryConfigError(`Can't sort by ${hidden.map(key => key.field).join(', ')}: hidden by your role's redaction policy`);
   }
+  return keys.filter(key => !isFieldHidden(req, key.field));
+}
 
-  if (config.congressional_district) {
-    conditions.push(`congressional_district = $${paramIndex}`);
-    params.push(config.congressional_district);
-    paramIndex++;
-  }
+/**
+ * Planner's plan for selecting the voters a WHERE clause matches (nothing is executed)
+ */
+async function explainPlan(t, whereClause, params) {
+  const result = await t.one(`EXPLAIN (FORMAT JSON) SELECT 1 FROM voters ${whereClause}`, params);
+  return result['QUERY PLAN'][0].Plan;
+}
 
-  if (config.nc_senate_district) {
-    conditions.push(`nc_senate_district = $${paramIndex}`);
-    params.push(config.nc_senate_district);
-    paramIndex++;
-  }
+/**
+ * Planner row estimate for a WHERE clause (fast on any table size, not exact)
+ */
+async function estimateCount(t, whereClause, params) {
+  const plan = await explainPlan(t, whereClause, params);
+  return Math.round(plan['Plan Rows']);
+}
 
-  if (config.nc_house_district) {
-    conditions.push(`nc_house_district = $${paramIndex}`);
-    params.push(config.nc_house_district);
-    paramIndex++;
-  }
+/**
+ * POST /api/query/build
+ * Build and execute a voter query
+ *
+ * Pages with "cursor" (pass back next_cursor) or, for shallow pages, "offset".
+ * "count": "exact" (default on the first page), "estimate" (planner estimate) or "none"
+ * (default when a cursor is given).
+ * "facets": true (or a list of facet names) adds bucket counts for the whole universe.
+ */
+router.post('/build', requirePermission('query:run'), async (req, res) => {
+  try {
+    const config = req.body;
+    const { limit, offset } = parsePage(config, MAX_PAGE_SIZE);
+    const countMode = config.count || (config.cursor ? 'none' : 'exact');
 
-  if (config.municipalities && config.municipalities.length > 0) {
-    conditions.push(`municipality = ANY($${paramIndex})`);
-    params.push(config.municipalities);
-    paramIndex++;
-  }
+    if (!COUNT_MODES.includes(countMode)) {
+      return res.status(400).json({ error: `count must be one of: ${COUNT_MODES.join(', ')}` });
+    }
 
-  if (config.zip_codes && config.zip_codes.length > 0) {
-    conditions.push(`zip_code = ANY($${paramIndex})`);
-    params.push(config.zip_codes);
-    paramIndex++;
-  }
+    if (config.cursor && offset > 0) {
+      return res.status(400).json({ error: 'Use either cursor or offset, not both' });
+    }
 
-  // Demographics filters
-  if (config.age_min !== undefined && config.age_min !== null) {
-    conditions.push(`age >= $${paramIndex}`);
-    params.push(config.age_min);
-    paramIndex++;
-  }
+    const facetNames = config.facets
+      ? parseFacets(config.facets).filter(name => !FACET_FIELDS[name] || !isFieldHidden(req, FACET_FIELDS[name]))
+      : null;
+    const facetLimit = parseFacetLimit(config.facet_limit);
+
+    // Build WHERE clause (flat filters and/or filter tree)
+    const { conditions, params } = buildWhereClause(config, { organization: req.organization });
+    rejectHiddenFilters(req, config);
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Everything the filters match, before confidential voters are left out
+    const matchWhereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+    const matchParams = [...params];
 
-  if (config.age_max !== undefined && config.age_max !== null) {
-    conditions.push(`age <= $${paramIndex}`);
-    params.push(config.age_max);
-    paramIndex++;
-  }
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
 
-  if (config.sex && config.sex.length > 0) {
-    conditions.push(`sex = ANY($${paramIndex})`);
-    params.push(config.sex);
-    paramIndex++;
-  }
+    const countWhereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+    const countParams = [...params];
 
-  if (config.race && config.race.length > 0) {
-    conditions.push(`race = ANY($${paramIndex})`);
-    params.push(config.race);
-    paramIndex++;
-  }
+    // Stable sort (requested keys + ncid) so cursors always resume in the same place
+    const sortKeys = visibleSort(req, config.orderBy);
+    if (config.cursor) {
+      conditions.push(keysetCondition(sortKeys, decodeCursor(config.cursor, sortKeys), param));
+    }
 
-  if (config.ethnicity && config.ethnicity.length > 0) {
-    conditions.push(`ethnicity = ANY($${paramIndex})`);
-    params.push(config.ethnicity);
-    paramIndex++;
-  }
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
 
-  // Party filters
-  if (config.party && config.party.length > 0) {
-    conditions.push(`party = ANY($${paramIndex})`);
-    params.push(config.party);
-    paramIndex++;
-  }
+    // One extra row tells us whether there is another page
+    const rows = await req.db.manyOrNone(`
+      SELECT ${VOTER_COLUMNS}
+      FROM voters
+      ${whereClause}
+      ORDER BY ${orderByClause(sortKeys)}
+      LIMIT ${param(limit + 1)} OFFSET ${param(offset)}
+    `, params);
+
+    const hasMore = rows.length > limit;
+    const voters = hasMore ? rows.slice(0, limit) : rows;
+
+    let total = null;
+    let excludedConfidential = null;
+    if (countMode === 'exact') {
+      const countResult = await req.db.one(`SELECT ${confidentialCounts(req)} FROM voters ${matchWhereClause}`, matchParams);
+      total = parseInt(countResult.total);
+      excludedConfidential = parseInt(countResult.excluded_confidential);
+    } else if (countMode === 'estimate') {
+      total = await estimateCount(req.db, countWhereClause, countParams);
+    }
 
-  // Registration filters
-  if (config.registration_status) {
-    conditions.push(`registration_status = $${paramIndex}`);
-    params.push(config.registration_status);
-    paramIndex++;
-  } else {
-    // Default to active voters
-    conditions.push(`registration_status = 'ACTIVE'`);
-  }
+    // Composition of the whole universe, not just this page
+    let facets;
+    if (facetNames && facetNames.length > 0) {
+      const facetRows = await req.db.manyOrNone(facetQuery(facetNames, countWhereClause), countParams);
+      facets = groupFacets(facetRows, facetNames, facetLimit);
+    }
 
-  if (config.registered_after) {
-    conditions.push(`registration_date >= $${paramIndex}`);
-    params.push(config.registered_after);
-    paramIndex++;
-  }
+    await recordAudit(req, {
+      action: 'query.build',
+      targetType: 'query',
+      queryConfig: config,
+      rowCount: voters.length,
+    });
 
-  if (config.registered_before) {
-    conditions.push(`registration_date <= $${paramIndex}`);
-    params.push(config.registered_before);
-    paramIndex++;
-  }
+    res.json({
+      voters,
+      total,
+      total_estimated: countMode === 'estimate',
+      limit,
+      offset,
+      hasMore,
+      next_cursor: hasMore ? encodeCursor(voters[voters.length - 1], sortKeys) : null,
+      excluded_confidential: excludedConfidential,
+      ...(facets && { facets }),
+    });
 
-  // Turnout score filters
-  if (config.turnout_min !== undefined && config.turnout_min !== null) {
-    conditions.push(`turnout_score >= $${paramIndex}`);
-    params.push(config.turnout_min);
-    paramIndex++;
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
+    console.error('[Query Error]', err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  if (config.turnout_max !== undefined && config.turnout_max !== null) {
-    conditions.push(`turnout_score <= $${paramIndex}`);
-    params.push(config.turnout_max);
-    paramIndex++;
-  }
+/**
+ * Wait until a slow client has taken the buffered output, or has gone away
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
-  // Partisan score filters
-  if (config.partisan_min !== undefined && config.partisan_min !== null) {
-    conditions.push(`partisan_score >= $${paramIndex}`);
-    params.push(config.partisan_min);
-    paramIndex++;
-  }
+/**
+ * POST /api/query/stream
+ * Stream every voter a query matches as NDJSON (one voter per line), in orderBy order
+ *
+ * Audited when the stream starts (before any voter is sent) and again when it ends, with the
+ * number of voters sent and whether the client received the whole stream.
+ */
+router.post('/stream', requirePermission('export'), async (req, res) => {
+  let streamed = 0;
+  // The response (not the request) closes when the client disconnects mid-stream
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const recordEnd = complete => recordAudit(req, {
+    action: 'query.stream.end',
+    targetType: 'query',
+    rowCount: streamed,
+    details: { complete },
+  });
 
-  if (config.partisan_max !== undefined && config.partisan_max !== null) {
-    conditions.push(`partisan_score <= $${paramIndex}`);
-    params.push(config.partisan_max);
-    paramIndex++;
-  }
+  try {
+    const config = req.body;
 
-  // Name/address search
-  if (config.search) {
-    conditions.push(`(
-      full_name ILIKE $${paramIndex} OR
-      street_address ILIKE $${paramIndex}
-    )`);
-    params.push(`%${config.search}%`);
-    paramIndex++;
-  }
+    // Compile up front so a bad config is still a 400 rather than a broken stream
+    const { conditions, params } = buildWhereClause(config, { organization: req.organization });
+    rejectHiddenFilters(req, config);
 
-  // Bounding box for map queries
-  if (config.bounds) {
-    const { sw_lat, sw_lng, ne_lat, ne_lng } = config.bounds;
-    conditions.push(`
-      location IS NOT NULL AND
-      ST_Within(
-        location::geometry,
-        ST_MakeEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, 4326)
-      )
-    `);
-    params.push(sw_lng, sw_lat, ne_lng, ne_lat);
-    paramIndex += 4;
-  }
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
 
-  return { conditions, params, paramIndex };
-}
+    const sortKeys = visibleSort(req, config.orderBy);
 
-/**
- * Build vote history subquery conditions
- */
-function buildHistoryConditions(config, startParamIndex) {
-  const conditions = [];
-  const params = [];
-  let paramIndex = startParamIndex;
-
-  // Voted in specific elections
-  if (config.voted_in && config.voted_in.length > 0) {
-    const subConditions = config.voted_in.map((election, i) => {
-      const idx = paramIndex + i;
-      params.push(election.date);
-      if (election.type) {
-        params.push(election.type);
-        return `(election_date = $${idx} AND election_type = $${idx + 1})`;
-      }
-      return `election_date = $${idx}`;
+    await recordAudit(req, {
+      action: 'query.stream',
+      targetType: 'query',
+      queryConfig: config,
     });
-    conditions.push(`ncid IN (
-      SELECT DISTINCT ncid FROM vote_history
-      WHERE ${subConditions.join(' OR ')}
-    )`);
-    paramIndex += params.length;
-  }
 
-  // Did NOT vote in specific elections
-  if (config.did_not_vote_in && config.did_not_vote_in.length > 0) {
-    const subConditions = config.did_not_vote_in.map((election, i) => {
-      params.push(election.date);
-      return `election_date = $${paramIndex + i}`;
-    });
-    conditions.push(`ncid NOT IN (
-      SELECT DISTINCT ncid FROM vote_history
-      WHERE ${subConditions.join(' OR ')}
-    )`);
-    paramIndex += config.did_not_vote_in.length;
-  }
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Walk the result in keyset batches so memory stays flat however large the universe is
+    let after = null;
+    while (!closed && !res.destroyed) {
+      const batchParams = [...params];
+      const param = value => {
+        batchParams.push(value);
+        return `$${batchParams.length}`;
+      };
+
+      const batchConditions = after ? [...conditions, keysetCondition(sortKeys, after, param)] : conditions;
+      const whereClause = batchConditions.length > 0
+        ? `WHERE ${batchConditions.join(' AND ')}`
+        : '';
+
+      const rows = await req.db.manyOrNone(`
+        SELECT ${VOTER_COLUMNS}
+        FROM voters
+        ${whereClause}
+        ORDER BY ${orderByClause(sortKeys)}
+        LIMIT ${param(STREAM_BATCH_SIZE)}
+      `, batchParams);
+
+      if (rows.length === 0 || closed) break;
+
+      const chunk = redactRows(req, rows).map(row => JSON.stringify(row)).join('\n') + '\n';
+      streamed += rows.length;
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
 
-  // Voted in primary with specific party
-  if (config.primary_party) {
-    conditions.push(`ncid IN (
-      SELECT DISTINCT ncid FROM vote_history
-      WHERE election_type = 'PRIMARY' AND party_voted = $${paramIndex}
-    )`);
-    params.push(config.primary_party);
-    paramIndex++;
-  }
+      if (rows.length < STREAM_BATCH_SIZE) break;
+      after = rowSortValues(rows[rows.length - 1], sortKeys);
+    }
 
-  // Voting method filter
-  if (config.voting_method && config.voting_method.length > 0) {
-    conditions.push(`ncid IN (
-      SELECT DISTINCT ncid FROM vote_history
-      WHERE voting_method = ANY($${paramIndex})
-    )`);
-    params.push(config.voting_method);
-    paramIndex++;
-  }
+    await recordEnd(!closed);
+    res.end();
 
-  // Minimum vote count
-  if (config.min_votes !== undefined && config.min_votes !== null) {
-    conditions.push(`ncid IN (
-      SELECT ncid FROM vote_history
-      GROUP BY ncid
-      HAVING COUNT(*) >= $${paramIndex}
-    )`);
-    params.push(config.min_votes);
-    paramIndex++;
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err) && !res.headersSent) {
+      return sendStatementTimeout(req, res);
+    }
+    console.error('[Query Stream Error]', err);
+    if (res.headersSent) {
+      await recordEnd(false).catch(auditErr => console.error('[Query Stream Audit Error]', auditErr));
+      // Final line tells the client the stream is incomplete
+      return res.end(JSON.stringify({ error: err.message }) + '\n');
+    }
+    res.status(500).json({ error: err.message });
   }
-
-  return { conditions, params, paramIndex };
-}
+});
 
 /**
- * POST /api/query/build
- * Build and execute a voter query
+ * POST /api/query/explain
+ * Planner estimate and warnings for a query, without running it
  */
-router.post('/build', async (req, res) => {
+router.post('/explain', requirePermission('query:run'), async (req, res) => {
   try {
     const config = req.body;
-    const limit = Math.min(config.limit || 100, 10000);
-    const offset = config.offset || 0;
 
-    // Build base WHERE clause
-    const base = buildWhereClause(config);
-    let { conditions, params, paramIndex } = base;
+    const { conditions, params } = buildWhereClause(config, { organization: req.organization });
+    rejectHiddenFilters(req, config);
 
-    // Add vote history conditions
-    const history = buildHistoryConditions(config, paramIndex);
-    conditions = conditions.concat(history.conditions);
-    params = params.concat(history.params);
-    paramIndex = history.paramIndex;
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
 
     const whereClause = conditions.length > 0
       ? `WHERE ${conditions.join(' AND ')}`
       : '';
 
-    // Build ORDER BY
-    const orderBy = config.orderBy || 'last_name, first_name';
-    const validOrderFields = ['last_name', 'first_name', 'age', 'precinct_name', 'street_address', 'turnout_score', 'partisan_score'];
-    const orderField = validOrderFields.includes(orderBy.split(' ')[0]) ? orderBy : 'last_name, first_name';
-
-    // Execute query
-    const query = `
-      SELECT
-        ncid,
-        first_name,
-        middle_name,
-        last_name,
-        name_suffix,
-        street_address,
-        city,
-        zip_code,
-        county_name,
-        precinct_name,
-        congressional_district,
-        nc_senate_district,
-        nc_house_district,
-        municipality,
-        age,
-        sex,
-        race,
-        ethnicity,
-        party,
-        registration_date,
-        phone,
-        turnout_score,
-        partisan_score,
-        ST_Y(location::geometry) as latitude,
-        ST_X(location::geometry) as longitude
-      FROM voters
-      ${whereClause}
-      ORDER BY ${orderField}
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
+    const plan = await explainPlan(req.db, whereClause, params);
 
-    params.push(limit, offset);
+    res.json({
+      estimated_rows: Math.round(plan['Plan Rows']),
+      total_cost: plan['Total Cost'],
+      timeout_ms: req.statementTimeoutMs,
+      warnings: explainWarnings(config, plan, { timeoutMs: req.statementTimeoutMs }),
+      plan,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
+    console.error('[Explain Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const voters = await db.manyOrNone(query, params);
+/**
+ * POST /api/query/parse
+ * Parse query text ({ "q": "county:BUNCOMBE party:DEM,UNA age:18..29" }) into a query config
+ */
+router.post('/parse', requirePermission('query:run'), async (req, res) => {
+  try {
+    const { q } = req.body;
+    const config = parseQueryText(q);
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM voters ${whereClause}`;
-    const countResult = await db.one(countQuery, params.slice(0, -2));
+    // Catch values the syntax accepts but the compiler doesn't (e.g. an unknown election type)
+    buildWhereClause(config, { organization: req.organization });
 
-    res.json({
-      voters,
-      total: parseInt(countResult.total),
-      limit,
-      offset,
-      hasMore: offset + voters.length < parseInt(countResult.total),
-    });
+    res.json({ config });
 
   } catch (err) {
-    console.error('[Query Error]', err);
+    if (err instanceof QueryTextError) {
+      return res.status(400).json({ error: err.message, position: err.position, length: err.length });
+    }
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Parse Query Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/query/format
+ * Format a query config ({ "config": {...} }) as query text; "unsupported" lists what the text can't express
+ */
+router.post('/format', requirePermission('query:run'), async (req, res) => {
+  try {
+    const { text, unsupported } = formatQueryText(req.body.config);
+    res.json({ q: text, unsupported });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Format Query Error]', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
  * POST /api/query/count
- * Get count for a query without fetching records
+ * Get count for a query without fetching records ("count": "estimate" for a fast planner estimate)
  */
-router.post('/count', async (req, res) => {
+router.post('/count', requirePermission('query:run'), async (req, res) => {
   try {
     const config = req.body;
 
-    const base = buildWhereClause(config);
-    let { conditions, params, paramIndex } = base;
+    const { conditions, params } = buildWhereClause(config, { organization: req.organization });
+    rejectHiddenFilters(req, config);
 
-    const history = buildHistoryConditions(config, paramIndex);
-    conditions = conditions.concat(history.conditions);
-    params = params.concat(history.params);
+    if (config.count === 'estimate') {
+      const confidential = confidentialCondition(req);
+      if (confidential) {
+        conditions.push(confidential);
+      }
+
+      const whereClause = conditions.length > 0
+        ? `WHERE ${conditions.join(' AND ')}`
+        : '';
+
+      const count = await estimateCount(req.db, whereClause, params);
+      return res.json({ count, estimated: true, excluded_confidential: null });
+    }
 
     const whereClause = conditions.length > 0
       ? `WHERE ${conditions.join(' AND ')}`
       : '';
 
-    const query = `SELECT COUNT(*) as total FROM voters ${whereClause}`;
-    const result = await db.one(query, params);
+    const query = `SELECT ${confidentialCounts(req)} FROM voters ${whereClause}`;
+    const result = await req.db.one(query, params);
 
-    res.json({ count: parseInt(result.total) });
+    res.json({
+      count: parseInt(result.total),
+      excluded_confidential: parseInt(result.excluded_confidential),
+    });
 
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Count Error]', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/query/overlap
+ * Venn region counts for 2-4 saved queries or lists, optionally saving one region as a list
+ *
+ * Body: sets ([{ saved_query_id } | { list_id }], labelled A-D in order),
+ * materialize ({ region: "AB", name, description }) to create a static list from a region
+ */
+router.post('/overlap', requirePermission('query:run'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { materialize } = req.body;
+    const sets = parseOverlapSets(req.body.sets);
+
+    if (materialize && !hasPermission(req.userRole, 'lists:write')) {
+      return res.status(403).json({
+        error: `Forbidden: the '${req.userRole}' role cannot create or modify lists`,
+        permission: 'lists:write',
+        role: req.userRole,
+      });
+    }
+    if (materialize && !materialize.name) {
+      return res.status(400).json({ error: 'materialize.name is required' });
+    }
+    const regionMask = materialize ? parseRegion(materialize.region, sets.length) : null;
+
+    // Resolve each reference within the organization
+    for (const set of sets) {
+      const row = set.type === 'query'
+        ? await req.db.oneOrNone('SELECT name, query_config FROM saved_queries WHERE id = $1 AND organization = $2', [set.id, organization])
+        : await req.db.oneOrNone('SELECT name, voter_count FROM lists WHERE id = $1 AND organization = $2', [set.id, organization]);
+      if (!row) {
+        return res.status(404).json({ error: `Set ${set.key}: ${set.type === 'query' ? 'saved query' : 'list'} ${set.id} not found` });
+      }
+      Object.assign(set, row);
+      if (set.type === 'query') rejectHiddenFilters(req, set.query_config);
+    }
+
+    const { cte, params, paramIndex } = overlapCte(sets, { organization });
+
+    const confidential = confidentialCondition(req, 'v');
+    const confidentialClause = confidential ? `WHERE ${confidential}` : '';
+
+    const rows = await req.db.manyOrNone(`
+      ${cte}
+      SELECT r.mask, COUNT(*) AS count
+      FROM overlap_regions r
+      JOIN voters v ON v.ncid = r.ncid
+      ${confidentialClause}
+      GROUP BY r.mask
+    `, params);
+
+    const counts = new Map(rows.map(row => [row.mask, parseInt(row.count)]));
+    const regions = overlapRegions(sets.length).map(({ key, sets: members, mask }) => ({
+      key,
+      sets: members,
+      count: counts.get(mask) || 0,
+    }));
+
+    let list = null;
+    if (materialize) {
+      const regionKey = String(materialize.region).toUpperCase();
+      const setNames = sets.map(set => `${set.key}: ${set.name}`).join(', ');
+
+      list = await req.db.tx(async t => {
+        const created = await t.one(`
+          INSERT INTO lists (user_id, organization, name, description, list_type, settings)
+          VALUES ($1, $2, $3, $4, 'static', $5)
+          RETURNING id, name, created_at
+        `, [userId, organization, materialize.name, materialize.description || `Region ${regionKey} of ${setNames}`, {
+          overlap: {
+            sets: sets.map(({ key, type, id, name }) => ({ key, type, id, name })),
+            region: regionKey,
+          },
+        }]);
+
+        const result = await t.result(`
+          ${cte}
+          INSERT INTO list_voters (list_id, ncid, sort_order)
+          SELECT $${paramIndex}, v.ncid, ROW_NUMBER() OVER (ORDER BY v.last_name, v.first_name)
+          FROM overlap_regions r
+          JOIN voters v ON v.ncid = r.ncid
+          WHERE r.mask = $${paramIndex + 1} ${confidential ? `AND ${confidential}` : ''}
+        `, [...params, created.id, regionMask]);
+
+        await t.none('UPDATE lists SET voter_count = $1 WHERE id = $2', [result.rowCount, created.id]);
+        return { ...created, voter_count: result.rowCount };
+      });
+    }
+
+    res.json({
+      sets: sets.map(set => ({
+        key: set.key,
+        type: set.type,
+        id: set.id,
+        name: set.name,
+        total: regions.filter(region => region.sets.includes(set.key)).reduce((sum, region) => sum + region.count, 0),
+      })),
+      regions,
+      union: regions.reduce((sum, region) => sum + region.count, 0),
+      list,
+    });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
+    console.error('[Overlap Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/query/saved
  * List saved queries for current user
  */
-router.get('/saved', async (req, res) => {
+router.get('/saved', requirePermission('query:run'), async (req, res) => {
   try {
-    const userId = req.userId || 1; // TODO: Get from auth
+    const organization = req.organization;
 
-    const queries = await db.manyOrNone(`
+    const queries = await req.db.manyOrNone(`
       SELECT id, name, description, query_config, result_count, created_at, updated_at
       FROM saved_queries
-      WHERE user_id = $1
+      WHERE organization = $1
       ORDER BY updated_at DESC
-    `, [userId]);
+    `, [organization]);
 
     res.json(queries);
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Saved Queries Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -387,37 +594,40 @@ router.get('/saved', async (req, res) => {
  * POST /api/query/save
  * Save a query for later use
  */
-router.post('/save', async (req, res) => {
+router.post('/save', requirePermission('query:save'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const { userId, organization } = req;
     const { name, description, query_config } = req.body;
 
     if (!name || !query_config) {
       return res.status(400).json({ error: 'Name and query_config are required' });
     }
 
-    // Get current count for this query
-    const base = buildWhereClause(query_config);
-    let { conditions, params } = base;
-    const history = buildHistoryConditions(query_config, base.paramIndex);
-    conditions = conditions.concat(history.conditions);
-    params = params.concat(history.params);
+    // Get current count for this query (also rejects malformed filter trees before saving)
+    const { conditions, params } = buildWhereClause(query_config, { organization: req.organization });
+    rejectHiddenFilters(req, query_config);
 
     const whereClause = conditions.length > 0
       ? `WHERE ${conditions.join(' AND ')}`
       : '';
 
-    const countResult = await db.one(`SELECT COUNT(*) as total FROM voters ${whereClause}`, params);
+    const countResult = await req.db.one(`SELECT ${confidentialCounts(req)} FROM voters ${whereClause}`, params);
 
-    const saved = await db.one(`
-      INSERT INTO saved_queries (user_id, name, description, query_config, result_count)
-      VALUES ($1, $2, $3, $4, $5)
+    const saved = await req.db.one(`
+      INSERT INTO saved_queries (user_id, organization, name, description, query_config, result_count)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING id, name, description, result_count, created_at
-    `, [userId, name, description, query_config, parseInt(countResult.total)]);
+    `, [userId, organization, name, description, query_config, parseInt(countResult.total)]);
 
     res.json(saved);
 
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Save Query Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -427,19 +637,22 @@ router.post('/save', async (req, res) => {
  * DELETE /api/query/saved/:id
  * Delete a saved query
  */
-router.delete('/saved/:id', async (req, res) => {
+router.delete('/saved/:id', requirePermission('query:save'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
-    await db.none(`
+    await req.db.none(`
       DELETE FROM saved_queries
-      WHERE id = $1 AND user_id = $2
-    `, [id, userId]);
+      WHERE id = $1 AND organization = $2
+    `, [id, organization]);
 
     res.json({ success: true });
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Delete Query Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -449,12 +662,12 @@ router.delete('/saved/:id', async (req, res) => {
  * GET /api/query/options
  * Get available filter options (counties, precincts, etc.)
  */
-router.get('/options', async (req, res) => {
+router.get('/options', requirePermission('query:run'), async (req, res) => {
   try {
     const county = req.query.county;
 
     // Get counties
-    const counties = await db.manyOrNone(`
+    const counties = await req.db.manyOrNone(`
       SELECT DISTINCT county_name
       FROM voters
       WHERE county_name IS NOT NULL
@@ -473,10 +686,10 @@ router.get('/options', async (req, res) => {
       precinctParams.push(county);
     }
     precinctsQuery += ` ORDER BY precinct_name`;
-    const precincts = await db.manyOrNone(precinctsQuery, precinctParams);
+    const precincts = await req.db.manyOrNone(precinctsQuery, precinctParams);
 
     // Get congressional districts
-    const congressionalDistricts = await db.manyOrNone(`
+    const congressionalDistricts = await req.db.manyOrNone(`
       SELECT DISTINCT congressional_district
       FROM voters
       WHERE congressional_district IS NOT NULL
@@ -484,7 +697,7 @@ router.get('/options', async (req, res) => {
     `);
 
     // Get NC Senate districts
-    const senateDistricts = await db.manyOrNone(`
+    const senateDistricts = await req.db.manyOrNone(`
       SELECT DISTINCT nc_senate_district
       FROM voters
       WHERE nc_senate_district IS NOT NULL
@@ -492,7 +705,7 @@ router.get('/options', async (req, res) => {
     `);
 
     // Get NC House districts
-    const houseDistricts = await db.manyOrNone(`
+    const houseDistricts = await req.db.manyOrNone(`
       SELECT DISTINCT nc_house_district
       FROM voters
       WHERE nc_house_district IS NOT NULL
@@ -511,10 +724,10 @@ router.get('/options', async (req, res) => {
       municipalityParams.push(county);
     }
     municipalitiesQuery += ` ORDER BY municipality`;
-    const municipalities = await db.manyOrNone(municipalitiesQuery, municipalityParams);
+    const municipalities = await req.db.manyOrNone(municipalitiesQuery, municipalityParams);
 
     // Get parties
-    const parties = await db.manyOrNone(`
+    const parties = await req.db.manyOrNone(`
       SELECT party, COUNT(*) as count
       FROM voters
       WHERE party IS NOT NULL
@@ -522,8 +735,17 @@ router.get('/options', async (req, res) => {
       ORDER BY count DESC
     `);
 
+    // Precincts with mapped boundaries (for precinct_boundaries filters)
+    const precinctBoundaries = await req.db.manyOrNone(`
+      SELECT p.id, p.precinct_code, p.precinct_name, p.county_code, c.county_name
+      FROM precincts p
+      LEFT JOIN counties c ON p.county_code = c.county_code
+      WHERE p.boundary IS NOT NULL
+      ORDER BY c.county_name, p.precinct_name
+    `);
+
     // Get elections for vote history filter
-    const elections = await db.manyOrNone(`
+    const elections = await req.db.manyOrNone(`
       SELECT election_date, election_type, election_desc, total_voters
       FROM elections
       ORDER BY election_date DESC
@@ -533,6 +755,7 @@ router.get('/options', async (req, res) => {
     res.json({
       counties: counties.map(c => c.county_name),
       precincts: precincts.map(p => p.precinct_name),
+      precinctBoundaries,
       congressionalDistricts: congressionalDistricts.map(d => d.congressional_district),
       senateDistricts: senateDistricts.map(d => d.nc_senate_district),
       houseDistricts: houseDistricts.map(d => d.nc_house_district),
@@ -545,6 +768,9 @@ router.get('/options', async (req, res) => {
     });
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Options Error]', err);
     res.status(500).json({ error: err.message });
   }
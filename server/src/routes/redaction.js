@@ -0,0 +1,106 @@
+/**
+ * Redaction Policy API Routes
+ * Per-organization, per-role control over which voter fields members can see
+ */
+
+import { Router } from 'express';
+import { db } from '../config/database.js';
+import { ROLES, requirePermission } from '../middleware/permissions.js';
+import { REDACTABLE_FIELDS, validatePolicy } from '../middleware/redaction.js';
+
+const router = Router();
+
+/**
+ * GET /api/redaction-policies
+ * List the organization's policies and the fields they can reference
+ */
+router.get('/', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policies = await db.manyOrNone(`
+      SELECT
+        rp.role,
+        rp.policy,
+        rp.updated_at,
+        u.name as updated_by_name
+      FROM redaction_policies rp
+      LEFT JOIN users u ON rp.updated_by = u.id
+      WHERE rp.organization = $1
+      ORDER BY rp.role
+    `, [req.organization]);
+
+    res.json({
+      fields: Object.keys(REDACTABLE_FIELDS),
+      roles: ROLES,
+      policies,
+    });
+
+  } catch (err) {
+    console.error('[Redaction Policies Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/redaction-policies/:role
+ * Set the policy for a role, e.g. { "allow": ["first_name", "street_address", "party"] }
+ * or { "deny": ["phone", "birth_year"], "coordinate_precision": 3 }
+ */
+router.put('/:role', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const policy = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const validationError = validatePolicy(policy);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const stored = {
+      ...(policy.allow ? { allow: policy.allow } : { deny: policy.deny || [] }),
+      ...(Number.isInteger(policy.coordinate_precision) ? { coordinate_precision: policy.coordinate_precision } : {}),
+    };
+
+    const saved = await db.one(`
+      INSERT INTO redaction_policies (organization, role, policy, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (organization, role)
+      DO UPDATE SET policy = EXCLUDED.policy, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING role, policy, updated_at
+    `, [req.organization, role, stored, req.userId]);
+
+    res.json(saved);
+
+  } catch (err) {
+    console.error('[Save Redaction Policy Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/redaction-policies/:role
+ * Remove a role's policy (members of that role see every field again)
+ */
+router.delete('/:role', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const result = await db.result(
+      'DELETE FROM redaction_policies WHERE organization = $1 AND role = $2',
+      [req.organization, req.params.role]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Delete Redaction Policy Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
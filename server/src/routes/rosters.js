@@ -0,0 +1,443 @@
+/**
+ * Roster API Routes
+ * Upload partner rosters (CSV), match rows to the voter file, review ambiguous matches, save as a list
+ */
+
+import { Router } from 'express';
+import { Readable } from 'stream';
+import multer from 'multer';
+import csv from 'csv-parser';
+import { db, pgp } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { isStatementTimeout, sendStatementTimeout } from '../middleware/timeouts.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition } from '../middleware/confidential.js';
+import { QueryConfigError } from '../query/errors.js';
+import { detectColumns, rosterFields, rosterMatchQuery, classifyMatch, REVIEW_MIN_SCORE } from '../query/roster-match.js';
+
+const router = Router();
+
+const MAX_ROSTER_BYTES = 10 * 1024 * 1024;
+// Rows are matched while the upload request waits, one query per row
+const MAX_ROSTER_ROWS = 2000;
+const MAX_CANDIDATES = 5;
+const ROW_STATUSES = ['matched', 'review', 'unmatched', 'rejected'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ROSTER_BYTES, files: 1 },
+});
+
+// Voter columns shown next to a roster row or candidate
+const CANDIDATE_COLUMNS = `
+  ncid, first_name, middle_name, last_name, street_address, city, zip_code,
+  birth_year, age, county_name, registration_status
+`;
+
+/**
+ * Accept one "file" field, answering upload problems with 400 instead of the generic 500
+ */
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Roster files are limited to ${MAX_ROSTER_BYTES / 1024 / 1024} MB`
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Parse a CSV buffer into headers and rows
+ */
+function parseCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+
+    Readable.from(buffer)
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+      .on('headers', found => {
+        headers = found;
+      })
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve({ headers, rows }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Match one roster row: exact NCID first, then fuzzy name + address + birth year
+ * Runs on req.db, so each lookup has the caller's statement timeout and holds no connection after.
+ */
+async function matchRow(t, fields, confidential) {
+  const visible = confidential ? `AND ${confidential}` : '';
+
+  if (fields.ncid) {
+    const voter = await t.oneOrNone(`SELECT ncid FROM voters WHERE ncid = $1 ${visible}`, [fields.ncid]);
+    if (voter) {
+      return { status: 'matched', method: 'ncid', ncid: voter.ncid, confidence: 1, candidates: [] };
+    }
+  }
+
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const query = rosterMatchQuery(fields, param);
+  if (!query) {
+    return { status: 'unmatched', method: null, ncid: null, confidence: null, candidates: [] };
+  }
+
+  const candidates = await t.manyOrNone(`
+    SELECT ncid, ROUND((${query.score})::numeric, 3)::float AS score
+    FROM voters
+    WHERE ${query.candidate} ${visible}
+    ORDER BY score DESC
+    LIMIT ${MAX_CANDIDATES}
+  `, params);
+
+  const match = classifyMatch(candidates);
+  return {
+    ...match,
+    method: match.status === 'matched' ? 'fuzzy' : null,
+    candidates: match.status === 'review' ? candidates.filter(candidate => candidate.score >= REVIEW_MIN_SCORE) : [],
+  };
+}
+
+/**
+ * Row counts by status for an upload
+ */
+async function statusCounts(t, uploadId) {
+  const rows = await t.manyOrNone(
+    'SELECT status, COUNT(*) AS count FROM roster_rows WHERE upload_id = $1 GROUP BY status',
+    [uploadId]
+  );
+  const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+  for (const row of rows) counts[row.status] = parseInt(row.count);
+  return counts;
+}
+
+/**
+ * GET /api/rosters
+ * List the organization's roster uploads
+ */
+router.get('/', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const uploads = await db.manyOrNone(`
+      SELECT
+        ru.id, ru.filename, ru.row_count, ru.list_id, ru.created_at,
+        COUNT(*) FILTER (WHERE rr.status = 'matched') AS matched,
+        COUNT(*) FILTER (WHERE rr.status = 'review') AS review,
+        COUNT(*) FILTER (WHERE rr.status = 'unmatched') AS unmatched,
+        COUNT(*) FILTER (WHERE rr.status = 'rejected') AS rejected
+      FROM roster_uploads ru
+      LEFT JOIN roster_rows rr ON rr.upload_id = ru.id
+      WHERE ru.organization = $1
+      GROUP BY ru.id
+      ORDER BY ru.created_at DESC
+    `, [req.organization]);
+
+    res.json(uploads);
+
+  } catch (err) {
+    console.error('[Rosters Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/rosters
+ * Upload a roster CSV (multipart field "file") and match every row
+ *
+ * Columns are recognised by header (ncid, first/last name or full name, address, city, zip,
+ * birth year or age); pass "columns" as JSON ({ "first_name": "First" }) to map others.
+ */
+router.post('/', requirePermission('lists:write'), receiveFile, async (req, res) => {
+  try {
+    const { userId, organization } = req;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Attach the roster as a CSV file in the "file" field' });
+    }
+
+    let overrides = {};
+    if (req.body.columns) {
+      try {
+        overrides = JSON.parse(req.body.columns);
+      } catch (e) {
+        return res.status(400).json({ error: 'columns must be JSON, e.g. {"first_name": "First"}' });
+      }
+    }
+
+    const { headers, rows } = await parseCsv(req.file.buffer);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The roster has no rows' });
+    }
+    if (rows.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({ error: `Rosters are limited to ${MAX_ROSTER_ROWS.toLocaleString()} rows` });
+    }
+
+    const columns = detectColumns(headers, overrides);
+    const confidential = confidentialCondition(req);
+
+    const matched = [];
+    for (const [i, row] of rows.entries()) {
+      const fields = rosterFields(row, columns);
+      matched.push({ row_number: i + 1, data: row, ...(await matchRow(req.db, fields, confidential)) });
+    }
+
+    const result = await db.tx(async tx => {
+      const created = await tx.one(`
+        INSERT INTO roster_uploads (organization, user_id, filename, columns, row_count)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, filename, columns, row_count, created_at
+      `, [organization, userId, req.file.originalname, columns, rows.length]);
+
+      const columnSet = new pgp.helpers.ColumnSet([
+        'upload_id', 'row_number',
+        { name: 'data', mod: ':json' },
+        'status', 'match_method', 'ncid', 'confidence',
+        { name: 'candidates', mod: ':json' },
+      ], { table: 'roster_rows' });
+
+      await tx.none(pgp.helpers.insert(matched.map(row => ({
+        upload_id: created.id,
+        row_number: row.row_number,
+        data: row.data,
+        status: row.status,
+        match_method: row.method,
+        ncid: row.ncid,
+        confidence: row.confidence,
+        candidates: row.candidates,
+      })), columnSet));
+
+      return { ...created, counts: await statusCounts(tx, created.id) };
+    });
+
+    res.json(result);
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
+    console.error('[Roster Upload Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/rosters/:id/rows
+ * Roster rows with their matched voter or review candidates (filter with status, e.g. "review")
+ */
+router.get('/:id/rows', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const roster = await db.oneOrNone(
+      'SELECT id, filename, columns, row_count, list_id FROM roster_uploads WHERE id = $1 AND organization = $2',
+      [id, req.organization]
+    );
+    if (!roster) {
+      return res.status(404).json({ error: 'Roster not found' });
+    }
+    if (status && !ROW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ROW_STATUSES.join(', ')}` });
+    }
+
+    const rows = await db.manyOrNone(`
+      SELECT id, row_number, data, status, match_method, ncid, confidence::float AS confidence, candidates
+      FROM roster_rows
+      WHERE upload_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY row_number
+      LIMIT $3 OFFSET $4
+    `, [roster.id, status || null, parseInt(limit), parseInt(offset)]);
+
+    // Voter details for matches and candidates (confidential voters drop out for callers who can't see them)
+    const ncids = [...new Set(rows.flatMap(row => [row.ncid, ...row.candidates.map(c => c.ncid)]).filter(Boolean))];
+    const confidential = confidentialCondition(req);
+    const voters = ncids.length > 0
+      ? await db.manyOrNone(
+          `SELECT ${CANDIDATE_COLUMNS} FROM voters WHERE ncid = ANY($1) ${confidential ? `AND ${confidential}` : ''}`,
+          [ncids]
+        )
+      : [];
+    const byNcid = new Map(voters.map(voter => [voter.ncid, voter]));
+
+    await recordAudit(req, {
+      action: 'roster.rows',
+      targetType: 'roster',
+      targetId: roster.id,
+      rowCount: voters.length,
+      details: { status: status || null, limit: parseInt(limit), offset: parseInt(offset) },
+    });
+
+    res.json({
+      ...roster,
+      counts: await statusCounts(db, roster.id),
+      rows: rows.map(row => ({
+        ...row,
+        voter: row.ncid ? byNcid.get(row.ncid) || null : null,
+        candidates: row.candidates
+          .filter(candidate => byNcid.has(candidate.ncid))
+          .map(candidate => ({ ...byNcid.get(candidate.ncid), score: candidate.score })),
+      })),
+    });
+
+  } catch (err) {
+    console.error('[Roster Rows Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/rosters/:id/rows/:rowId
+ * Resolve a row: { ncid } accepts that voter (usually one of the candidates), { ncid: null } rejects it
+ */
+router.put('/:id/rows/:rowId', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { id, rowId } = req.params;
+
+    if (!('ncid' in req.body)) {
+      return res.status(400).json({ error: 'Send { "ncid": "..." } to accept a voter or { "ncid": null } to reject' });
+    }
+
+    const row = await db.oneOrNone(`
+      SELECT rr.id, rr.candidates
+      FROM roster_rows rr
+      JOIN roster_uploads ru ON ru.id = rr.upload_id
+      WHERE rr.id = $1 AND rr.upload_id = $2 AND ru.organization = $3
+    `, [rowId, id, req.organization]);
+    if (!row) {
+      return res.status(404).json({ error: 'Roster row not found' });
+    }
+
+    let ncid = null;
+    let confidence = null;
+    if (req.body.ncid) {
+      const confidential = confidentialCondition(req);
+      const voter = await db.oneOrNone(
+        `SELECT ncid FROM voters WHERE ncid = $1 ${confidential ? `AND ${confidential}` : ''}`,
+        [String(req.body.ncid).trim().toUpperCase()]
+      );
+      if (!voter) {
+        return res.status(404).json({ error: 'Voter not found' });
+      }
+      ncid = voter.ncid;
+      confidence = row.candidates.find(candidate => candidate.ncid === ncid)?.score ?? null;
+    }
+
+    const updated = await db.one(`
+      UPDATE roster_rows
+      SET
+        status = $2,
+        match_method = $3,
+        ncid = $4,
+        confidence = $5,
+        reviewed_by = $6,
+        reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING id, row_number, status, match_method, ncid, confidence::float AS confidence, reviewed_at
+    `, [row.id, ncid ? 'matched' : 'rejected', ncid ? 'manual' : null, ncid, confidence, req.userId]);
+
+    res.json(updated);
+
+  } catch (err) {
+    console.error('[Roster Review Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/rosters/:id/list
+ * Save the matched voters as a static list
+ *
+ * Rows still awaiting review block this unless skip_review is true (they're left out).
+ */
+router.post('/:id/list', requirePermission('lists:write'), async (req, res) => {
+  try {
+    const { userId, organization } = req;
+    const { name, description, skip_review = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const roster = await db.oneOrNone(
+      'SELECT id, filename FROM roster_uploads WHERE id = $1 AND organization = $2',
+      [req.params.id, organization]
+    );
+    if (!roster) {
+      return res.status(404).json({ error: 'Roster not found' });
+    }
+
+    const counts = await statusCounts(db, roster.id);
+    if (counts.review > 0 && !skip_review) {
+      return res.status(409).json({
+        error: `${counts.review} rows still need review; resolve them or pass skip_review: true`,
+        counts,
+      });
+    }
+
+    const confidential = confidentialCondition(req, 'v');
+
+    const list = await db.tx(async t => {
+      const created = await t.one(`
+        INSERT INTO lists (user_id, organization, name, description, list_type, settings)
+        VALUES ($1, $2, $3, $4, 'static', $5)
+        RETURNING id, name, created_at
+      `, [userId, organization, name, description || `Matched from ${roster.filename}`, { roster_id: roster.id }]);
+
+      // A voter listed twice on the roster is added once, in first-row order
+      const result = await t.result(`
+        INSERT INTO list_voters (list_id, ncid, sort_order)
+        SELECT $1, matched.ncid, ROW_NUMBER() OVER (ORDER BY matched.first_row)
+        FROM (
+          SELECT ncid, MIN(row_number) AS first_row
+          FROM roster_rows
+          WHERE upload_id = $2 AND status = 'matched' AND ncid IS NOT NULL
+          GROUP BY ncid
+        ) matched
+        JOIN voters v ON v.ncid = matched.ncid
+        ${confidential ? `WHERE ${confidential}` : ''}
+      `, [created.id, roster.id]);
+
+      await t.none('UPDATE lists SET voter_count = $1 WHERE id = $2', [result.rowCount, created.id]);
+      await t.none('UPDATE roster_uploads SET list_id = $1 WHERE id = $2', [created.id, roster.id]);
+
+      return { ...created, voter_count: result.rowCount };
+    });
+
+    res.json({ ...list, counts });
+
+  } catch (err) {
+    console.error('[Roster List Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/rosters/:id
+ * Delete an upload and its rows (a list saved from it is kept)
+ */
+router.delete('/:id', requirePermission('lists:write'), async (req, res) => {
+  try {
+    await db.none('DELETE FROM roster_uploads WHERE id = $1 AND organization = $2', [req.params.id, req.organization]);
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('[Delete Roster Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -4,7 +4,12 @@
  */
 
 import { Router } from 'express';
-import { db } from '../config/database.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { isStatementTimeout, sendStatementTimeout } from '../middleware/timeouts.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition } from '../middleware/confidential.js';
+import { isFieldHidden, rejectHiddenFilters } from '../middleware/redaction.js';
+import { buildWhereClause, QueryConfigError } from '../query/compiler.js';
 
 const router = Router();
 
@@ -12,9 +17,9 @@ const router = Router();
  * GET /api/stats/overview
  * Get overall database statistics
  */
-router.get('/overview', async (req, res) => {
+router.get('/overview', requirePermission('stats:read'), async (req, res) => {
   try {
-    const stats = await db.one(`
+    const stats = await req.db.one(`
       SELECT
         (SELECT COUNT(*) FROM voters) as total_voters,
         (SELECT COUNT(*) FROM voters WHERE registration_status = 'ACTIVE') as active_voters,
@@ -27,7 +32,7 @@ router.get('/overview', async (req, res) => {
     `);
 
     // Party breakdown
-    const partyBreakdown = await db.manyOrNone(`
+    const partyBreakdown = await req.db.manyOrNone(`
       SELECT party, COUNT(*) as count
       FROM voters
       WHERE registration_status = 'ACTIVE'
@@ -36,7 +41,7 @@ router.get('/overview', async (req, res) => {
     `);
 
     // Age breakdown
-    const ageBreakdown = await db.manyOrNone(`
+    const ageBreakdown = await req.db.manyOrNone(`
       SELECT
         CASE
           WHEN age < 25 THEN '18-24'
@@ -60,6 +65,9 @@ router.get('/overview', async (req, res) => {
     });
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Stats Overview Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -69,9 +77,9 @@ router.get('/overview', async (req, res) => {
  * GET /api/stats/elections
  * Get election statistics
  */
-router.get('/elections', async (req, res) => {
+router.get('/elections', requirePermission('stats:read'), async (req, res) => {
   try {
-    const elections = await db.manyOrNone(`
+    const elections = await req.db.manyOrNone(`
       SELECT
         election_date,
         election_type,
@@ -85,7 +93,7 @@ router.get('/elections', async (req, res) => {
     `);
 
     // Turnout by election
-    const turnoutByElection = await db.manyOrNone(`
+    const turnoutByElection = await req.db.manyOrNone(`
       SELECT
         vh.election_date,
         vh.election_type,
@@ -105,6 +113,9 @@ router.get('/elections', async (req, res) => {
     });
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Elections Stats Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -114,108 +125,153 @@ router.get('/elections', async (req, res) => {
  * GET /api/stats/demographics
  * Get demographic breakdown
  */
-router.get('/demographics', async (req, res) => {
+router.get('/demographics', requirePermission('stats:read'), async (req, res) => {
   try {
     const { county, precinct } = req.query;
 
-    let whereClause = 'WHERE registration_status = \'ACTIVE\'';
-    const params = [];
-
-    if (county) {
-      params.push(county);
-      whereClause += ` AND county_name = $${params.length}`;
-    }
+    res.json(await demographicBreakdown(req, {
+      ...(county ? { county: [county] } : {}),
+      ...(precinct ? { precincts: [precinct] } : {}),
+    }));
 
-    if (precinct) {
-      params.push(precinct);
-      whereClause += ` AND precinct_name = $${params.length}`;
+  } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
     }
+    console.error('[Demographics Stats Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Sex breakdown
-    const sexBreakdown = await db.manyOrNone(`
-      SELECT sex, COUNT(*) as count
-      FROM voters
-      ${whereClause}
-      GROUP BY sex
-      ORDER BY count DESC
-    `, params);
-
-    // Race breakdown
-    const raceBreakdown = await db.manyOrNone(`
-      SELECT race, COUNT(*) as count
-      FROM voters
-      ${whereClause}
-      GROUP BY race
-      ORDER BY count DESC
-    `, params);
-
-    // Ethnicity breakdown
-    const ethnicityBreakdown = await db.manyOrNone(`
-      SELECT ethnicity, COUNT(*) as count
-      FROM voters
-      ${whereClause}
-      GROUP BY ethnicity
-      ORDER BY count DESC
-    `, params);
-
-    // Party by age
-    const partyByAge = await db.manyOrNone(`
-      SELECT
-        CASE
-          WHEN age < 30 THEN 'Under 30'
-          WHEN age < 50 THEN '30-49'
-          WHEN age < 65 THEN '50-64'
-          ELSE '65+'
-        END as age_group,
-        party,
-        COUNT(*) as count
-      FROM voters
-      ${whereClause} AND age IS NOT NULL
-      GROUP BY 1, party
-      ORDER BY 1, count DESC
-    `, params);
-
-    // Turnout score distribution
-    const turnoutDistribution = await db.manyOrNone(`
-      SELECT
-        CASE
-          WHEN turnout_score IS NULL THEN 'Unknown'
-          WHEN turnout_score = 0 THEN '0%'
-          WHEN turnout_score <= 25 THEN '1-25%'
-          WHEN turnout_score <= 50 THEN '26-50%'
-          WHEN turnout_score <= 75 THEN '51-75%'
-          ELSE '76-100%'
-        END as turnout_range,
-        COUNT(*) as count
-      FROM voters
-      ${whereClause}
-      GROUP BY 1
-      ORDER BY 1
-    `, params);
+/**
+ * POST /api/stats/demographics
+ * Demographic breakdown of any query builder config (same voter set as /api/query/build)
+ * Needs query access: arbitrary filters can narrow a breakdown down to individual voters
+ */
+router.post('/demographics', requirePermission('query:run'), async (req, res) => {
+  try {
+    const breakdown = await demographicBreakdown(req, req.body);
 
-    res.json({
-      sexBreakdown,
-      raceBreakdown,
-      ethnicityBreakdown,
-      partyByAge,
-      turnoutDistribution,
+    await recordAudit(req, {
+      action: 'stats.demographics',
+      targetType: 'query',
+      queryConfig: req.body,
     });
 
+    res.json(breakdown);
+
   } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Demographics Stats Error]', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Breakdown -> voter fields it reveals; a breakdown is left out when the caller's policy hides any
+const BREAKDOWN_FIELDS = {
+  sexBreakdown: ['sex'],
+  raceBreakdown: ['race'],
+  ethnicityBreakdown: ['ethnicity'],
+  partyByAge: ['party', 'age'],
+  turnoutDistribution: ['turnout_score'],
+};
+
+/**
+ * Sex, race, ethnicity, party-by-age and turnout breakdowns for a query config
+ * Confidential voters are left out unless the caller included them, and breakdowns of fields the
+ * caller's redaction policy hides are omitted.
+ */
+async function demographicBreakdown(req, config) {
+  const t = req.db;
+  const { conditions, params } = buildWhereClause(config, { organization: req.organization });
+  rejectHiddenFilters(req, config);
+  const confidential = confidentialCondition(req);
+  if (confidential) {
+    conditions.push(confidential);
+  }
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+  const visible = name => !BREAKDOWN_FIELDS[name].some(field => isFieldHidden(req, field));
+
+  // Sex breakdown
+  const sexBreakdown = visible('sexBreakdown') && await t.manyOrNone(`
+    SELECT sex, COUNT(*) as count
+    FROM voters
+    ${whereClause}
+    GROUP BY sex
+    ORDER BY count DESC
+  `, params);
+
+  // Race breakdown
+  const raceBreakdown = visible('raceBreakdown') && await t.manyOrNone(`
+    SELECT race, COUNT(*) as count
+    FROM voters
+    ${whereClause}
+    GROUP BY race
+    ORDER BY count DESC
+  `, params);
+
+  // Ethnicity breakdown
+  const ethnicityBreakdown = visible('ethnicityBreakdown') && await t.manyOrNone(`
+    SELECT ethnicity, COUNT(*) as count
+    FROM voters
+    ${whereClause}
+    GROUP BY ethnicity
+    ORDER BY count DESC
+  `, params);
+
+  // Party by age
+  const partyByAge = visible('partyByAge') && await t.manyOrNone(`
+    SELECT
+      CASE
+        WHEN age < 30 THEN 'Under 30'
+        WHEN age < 50 THEN '30-49'
+        WHEN age < 65 THEN '50-64'
+        ELSE '65+'
+      END as age_group,
+      party,
+      COUNT(*) as count
+    FROM voters
+    ${whereClause} AND age IS NOT NULL
+    GROUP BY 1, party
+    ORDER BY 1, count DESC
+  `, params);
+
+  // Turnout score distribution
+  const turnoutDistribution = visible('turnoutDistribution') && await t.manyOrNone(`
+    SELECT
+      CASE
+        WHEN turnout_score IS NULL THEN 'Unknown'
+        WHEN turnout_score = 0 THEN '0%'
+        WHEN turnout_score <= 25 THEN '1-25%'
+        WHEN turnout_score <= 50 THEN '26-50%'
+        WHEN turnout_score <= 75 THEN '51-75%'
+        ELSE '76-100%'
+      END as turnout_range,
+      COUNT(*) as count
+    FROM voters
+    ${whereClause}
+    GROUP BY 1
+    ORDER BY 1
+  `, params);
+
+  const breakdowns = { sexBreakdown, raceBreakdown, ethnicityBreakdown, partyByAge, turnoutDistribution };
+  return Object.fromEntries(Object.entries(breakdowns).filter(([name]) => visible(name)));
+}
+
 /**
  * GET /api/stats/county/:name
  * Get statistics for a specific county
  */
-router.get('/county/:name', async (req, res) => {
+router.get('/county/:name', requirePermission('stats:read'), async (req, res) => {
   try {
     const { name } = req.params;
 
-    const stats = await db.one(`
+    const stats = await req.db.one(`
       SELECT
         COUNT(*) as total_voters,
         COUNT(CASE WHEN registration_status = 'ACTIVE' THEN 1 END) as active_voters,
@@ -225,7 +281,7 @@ router.get('/county/:name', async (req, res) => {
       WHERE UPPER(county_name) = UPPER($1)
     `, [name]);
 
-    const partyBreakdown = await db.manyOrNone(`
+    const partyBreakdown = await req.db.manyOrNone(`
       SELECT party, COUNT(*) as count
       FROM voters
       WHERE UPPER(county_name) = UPPER($1) AND registration_status = 'ACTIVE'
@@ -233,7 +289,7 @@ router.get('/county/:name', async (req, res) => {
       ORDER BY count DESC
     `, [name]);
 
-    const precincts = await db.manyOrNone(`
+    const precincts = await req.db.manyOrNone(`
       SELECT precinct_name, COUNT(*) as voter_count
       FROM voters
       WHERE UPPER(county_name) = UPPER($1) AND registration_status = 'ACTIVE'
@@ -249,6 +305,9 @@ router.get('/county/:name', async (req, res) => {
     });
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[County Stats Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -258,9 +317,9 @@ router.get('/county/:name', async (req, res) => {
  * GET /api/stats/import-history
  * Get import log history
  */
-router.get('/import-history', async (req, res) => {
+router.get('/import-history', requirePermission('stats:read'), async (req, res) => {
   try {
-    const logs = await db.manyOrNone(`
+    const logs = await req.db.manyOrNone(`
       SELECT
         id,
         filename,
@@ -282,6 +341,9 @@ router.get('/import-history', async (req, res) => {
     res.json(logs);
 
   } catch (err) {
+    if (isStatementTimeout(err)) {
+      return sendStatementTimeout(req, res);
+    }
     console.error('[Import History Error]', err);
     res.status(500).json({ error: err.message });
   }
@@ -5,16 +5,36 @@
 
 import { Router } from 'express';
 import { db } from '../config/database.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts } from '../middleware/confidential.js';
 
 const router = Router();
 
+/**
+ * Restrict turf reads to the caller's assignments when their role cannot see every turf
+ * Returns an extra AND condition on alias `t` plus its parameters
+ */
+function turfVisibility(req, paramIndex) {
+  if (hasPermission(req.userRole, 'turfs:read_all')) {
+    return { condition: '', params: [] };
+  }
+
+  return {
+    condition: ` AND EXISTS (
+      SELECT 1 FROM turf_assignments ta WHERE ta.turf_id = t.id AND ta.user_id = $${paramIndex}
+    )`,
+    params: [req.userId],
+  };
+}
+
 /**
  * GET /api/turfs
  * List all turfs for the user
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('turfs:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { list_id } = req.query;
 
     let query = `
@@ -32,12 +52,16 @@ router.get('/', async (req, res) => {
         ST_AsGeoJSON(t.center) as center_geojson
       FROM turfs t
       LEFT JOIN lists l ON t.list_id = l.id
-      WHERE t.user_id = $1
+      WHERE t.organization = $1
     `;
-    const params = [userId];
+    const params = [organization];
+
+    const visibility = turfVisibility(req, 2);
+    query += visibility.condition;
+    params.push(...visibility.params);
 
     if (list_id) {
-      query += ` AND t.list_id = $2`;
+      query += ` AND t.list_id = $${params.length + 1}`;
       params.push(list_id);
     }
 
@@ -64,9 +88,9 @@ router.get('/', async (req, res) => {
  * POST /api/turfs/auto-cut
  * Automatically divide a list into turfs based on geography
  */
-router.post('/auto-cut', async (req, res) => {
+router.post('/auto-cut', requirePermission('turfs:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const { userId, organization } = req;
     const {
       list_id,
       doors_per_turf = 50,
@@ -78,7 +102,7 @@ router.post('/auto-cut', async (req, res) => {
     }
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id, name, voter_count FROM lists WHERE id = $1 AND user_id = $2', [list_id, userId]);
+    const list = await db.oneOrNone('SELECT id, name, voter_count FROM lists WHERE id = $1 AND organization = $2', [list_id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
@@ -147,14 +171,15 @@ router.post('/auto-cut', async (req, res) => {
       // Create turf record
       const created = await db.one(`
         INSERT INTO turfs (
-          user_id, list_id, name, description,
+          user_id, organization, list_id, name, description,
           voter_count, door_count, estimated_time_minutes,
           center, settings
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, ST_SetSRID(ST_MakePoint($8, $9), 4326)::geography, $10)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ST_SetSRID(ST_MakePoint($9, $10), 4326)::geography, $11)
         RETURNING id, name, voter_count, door_count, estimated_time_minutes
       `, [
         userId,
+        organization,
         list_id,
         `${list.name} - Turf ${i + 1}`,
         `Auto-generated turf with ${turf.doors.length} doors`,
@@ -318,9 +343,9 @@ async function groupByPrecinct(listId) {
  * POST /api/turfs/manual
  * Create a turf with a manually drawn polygon
  */
-router.post('/manual', async (req, res) => {
+router.post('/manual', requirePermission('turfs:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const { userId, organization } = req;
     const { list_id, name, description, polygon } = req.body;
 
     if (!list_id || !polygon) {
@@ -333,7 +358,7 @@ router.post('/manual', async (req, res) => {
     }
 
     // Verify list ownership
-    const list = await db.oneOrNone('SELECT id, name FROM lists WHERE id = $1 AND user_id = $2', [list_id, userId]);
+    const list = await db.oneOrNone('SELECT id, name FROM lists WHERE id = $1 AND organization = $2', [list_id, organization]);
     if (!list) {
       return res.status(404).json({ error: 'List not found' });
     }
@@ -367,21 +392,22 @@ router.post('/manual', async (req, res) => {
     // Create turf
     const turf = await db.one(`
       INSERT INTO turfs (
-        user_id, list_id, name, description,
+        user_id, organization, list_id, name, description,
         boundary, center,
         voter_count, door_count, estimated_time_minutes,
         settings
       )
       VALUES (
-        $1, $2, $3, $4,
-        ST_SetSRID(ST_GeomFromGeoJSON($5), 4326)::geography,
-        ST_SetSRID(ST_MakePoint($6, $7), 4326)::geography,
-        $8, $9, $10,
-        $11
+        $1, $2, $3, $4, $5,
+        ST_SetSRID(ST_GeomFromGeoJSON($6), 4326)::geography,
+        ST_SetSRID(ST_MakePoint($7, $8), 4326)::geography,
+        $9, $10, $11,
+        $12
       )
       RETURNING id, name, voter_count, door_count, estimated_time_minutes
     `, [
       userId,
+      organization,
       list_id,
       name || `${list.name} - Manual Turf`,
       description,
@@ -417,10 +443,11 @@ router.post('/manual', async (req, res) => {
  * GET /api/turfs/:id
  * Get turf details
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('turfs:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
+    const visibility = turfVisibility(req, 3);
 
     const turf = await db.oneOrNone(`
       SELECT
@@ -430,17 +457,26 @@ router.get('/:id', async (req, res) => {
         ST_AsGeoJSON(t.center) as center_geojson
       FROM turfs t
       LEFT JOIN lists l ON t.list_id = l.id
-      WHERE t.id = $1 AND t.user_id = $2
-    `, [id, userId]);
+      WHERE t.id = $1 AND t.organization = $2${visibility.condition}
+    `, [id, organization, ...visibility.params]);
 
     if (!turf) {
       return res.status(404).json({ error: 'Turf not found' });
     }
 
+    const assignments = await db.manyOrNone(`
+      SELECT u.id, u.name, u.email
+      FROM turf_assignments ta
+      JOIN users u ON ta.user_id = u.id
+      WHERE ta.turf_id = $1
+      ORDER BY u.name
+    `, [id]);
+
     res.json({
       ...turf,
       boundary: turf.boundary_geojson ? JSON.parse(turf.boundary_geojson) : null,
       center: turf.center_geojson ? JSON.parse(turf.center_geojson) : null,
+      assigned_users: assignments,
     });
 
   } catch (err) {
@@ -453,18 +489,24 @@ router.get('/:id', async (req, res) => {
  * GET /api/turfs/:id/voters
  * Get voters in a turf
  */
-router.get('/:id/voters', async (req, res) => {
+router.get('/:id/voters', requirePermission('turfs:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
     const { limit = 100, offset = 0 } = req.query;
+    const visibility = turfVisibility(req, 3);
 
     // Verify turf ownership
-    const turf = await db.oneOrNone('SELECT id, list_id FROM turfs WHERE id = $1 AND user_id = $2', [id, userId]);
+    const turf = await db.oneOrNone(
+      `SELECT t.id, t.list_id FROM turfs t WHERE t.id = $1 AND t.organization = $2${visibility.condition}`,
+      [id, organization, ...visibility.params]
+    );
     if (!turf) {
       return res.status(404).json({ error: 'Turf not found' });
     }
 
+    const confidential = confidentialCondition(req, 'v');
+
     const voters = await db.manyOrNone(`
       SELECT
         lv.sort_order,
@@ -483,12 +525,24 @@ router.get('/:id/voters', async (req, res) => {
         ST_X(v.location::geometry) as lng
       FROM list_voters lv
       JOIN voters v ON lv.ncid = v.ncid
-      WHERE lv.list_id = $1 AND lv.turf_id = $2
+      WHERE lv.list_id = $1 AND lv.turf_id = $2 ${confidential ? `AND ${confidential}` : ''}
       ORDER BY lv.sort_order
       LIMIT $3 OFFSET $4
     `, [turf.list_id, id, parseInt(limit), parseInt(offset)]);
 
-    res.json({ voters });
+    const counts = await db.one(`
+      SELECT ${confidentialCounts(req, 'v')}
+      FROM list_voters lv
+      JOIN voters v ON lv.ncid = v.ncid
+      WHERE lv.list_id = $1 AND lv.turf_id = $2
+    `, [turf.list_id, id]);
+
+    await recordAudit(req, { action: 'turf.voters', targetType: 'turf', targetId: id, rowCount: voters.length });
+
+    res.json({
+      voters,
+      excluded_confidential: parseInt(counts.excluded_confidential),
+    });
 
   } catch (err) {
     console.error('[Turf Voters Error]', err);
@@ -500,18 +554,41 @@ router.get('/:id/voters', async (req, res) => {
  * GET /api/turfs/:id/route
  * Get optimized walking route for a turf
  */
-router.get('/:id/route', async (req, res) => {
+router.get('/:id/route', requirePermission('turfs:read'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
-    const turf = await db.oneOrNone('SELECT id, list_id, route_data FROM turfs WHERE id = $1 AND user_id = $2', [id, userId]);
+    const visibility = turfVisibility(req, 3);
+
+    const turf = await db.oneOrNone(
+      `SELECT t.id, t.list_id, t.route_data FROM turfs t WHERE t.id = $1 AND t.organization = $2${visibility.condition}`,
+      [id, organization, ...visibility.params]
+    );
     if (!turf) {
       return res.status(404).json({ error: 'Turf not found' });
     }
 
+    // The cached route never contains confidential addresses; callers including them get a fresh one
+    const confidential = confidentialCondition(req, 'v');
+
+    // Routes cached before confidential filtering may still stop at a protected household; rebuild those
+    const cachedRouteUsable = async () => {
+      const households = (turf.route_data.route || []).map(stop => stop.household_id).filter(Boolean);
+      if (households.length === 0) return true;
+      const protectedStop = await db.oneOrNone(`
+        SELECT 1
+        FROM list_voters lv
+        JOIN voters v ON lv.ncid = v.ncid
+        WHERE lv.turf_id = $1 AND lv.list_id = $2 AND lv.household_id = ANY($3) AND v.confidential_ind IS TRUE
+        LIMIT 1
+      `, [id, turf.list_id, households]);
+      return !protectedStop;
+    };
+
     // If we already have a cached route, return it
-    if (turf.route_data) {
+    if (turf.route_data && confidential && await cachedRouteUsable()) {
+      await recordAudit(req, { action: 'turf.route', targetType: 'turf', targetId: id, rowCount: (turf.route_data.route || []).length });
       return res.json(turf.route_data);
     }
 
@@ -526,9 +603,11 @@ router.get('/:id/route', async (req, res) => {
         ST_X(v.location::geometry) as lng
       FROM list_voters lv
       JOIN voters v ON lv.ncid = v.ncid
-      WHERE lv.turf_id = $1 AND v.location IS NOT NULL
+      WHERE lv.turf_id = $1 AND lv.list_id = $2 AND v.location IS NOT NULL ${confidential ? `AND ${confidential}` : ''}
       ORDER BY lv.household_id, lv.sort_order
-    `, [id]);
+    `, [id, turf.list_id]);
+
+    await recordAudit(req, { action: 'turf.route', targetType: 'turf', targetId: id, rowCount: addresses.length });
 
     if (addresses.length === 0) {
       return res.json({ route: [], distance: 0, duration: 0 });
@@ -556,11 +635,13 @@ router.get('/:id/route', async (req, res) => {
     };
 
     // Cache the route
-    await db.none(`
-      UPDATE turfs
-      SET route_data = $1, updated_at = NOW()
-      WHERE id = $2
-    `, [routeData, id]);
+    if (confidential) {
+      await db.none(`
+        UPDATE turfs
+        SET route_data = $1, updated_at = NOW()
+        WHERE id = $2
+      `, [routeData, id]);
+    }
 
     res.json(routeData);
 
@@ -601,15 +682,66 @@ function nearestNeighborRoute(points) {
   return route;
 }
 
+/**
+ * PUT /api/turfs/:id/assignments
+ * Replace the set of users assigned to canvass a turf
+ */
+router.put('/:id/assignments', requirePermission('turfs:write'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { id } = req.params;
+    const { user_ids = [] } = req.body;
+
+    if (!Array.isArray(user_ids)) {
+      return res.status(400).json({ error: 'user_ids must be an array' });
+    }
+
+    const turf = await db.oneOrNone('SELECT id FROM turfs WHERE id = $1 AND organization = $2', [id, organization]);
+    if (!turf) {
+      return res.status(404).json({ error: 'Turf not found' });
+    }
+
+    // Only members of the same organization can be assigned
+    const users = await db.manyOrNone(
+      'SELECT id FROM users WHERE id = ANY($1::int[]) AND organization = $2',
+      [user_ids, organization]
+    );
+    if (users.length !== new Set(user_ids.map(Number)).size) {
+      return res.status(400).json({ error: 'All assigned users must belong to your organization' });
+    }
+
+    await db.tx(async t => {
+      await t.none('DELETE FROM turf_assignments WHERE turf_id = $1', [id]);
+      for (const user of users) {
+        await t.none(`
+          INSERT INTO turf_assignments (turf_id, user_id, assigned_by)
+          VALUES ($1, $2, $3)
+        `, [id, user.id, req.userId]);
+      }
+    });
+
+    res.json({ success: true, assigned_user_ids: users.map(u => u.id) });
+
+  } catch (err) {
+    console.error('[Turf Assignment Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * DELETE /api/turfs/:id
  * Delete a turf
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('turfs:write'), async (req, res) => {
   try {
-    const userId = req.userId || 1;
+    const organization = req.organization;
     const { id } = req.params;
 
+    const turf = await db.oneOrNone('SELECT id FROM turfs WHERE id = $1 AND organization = $2', [id, organization]);
+    if (!turf) {
+      return res.status(404).json({ error: 'Turf not found' });
+    }
+
     // Clear turf assignments first
     await db.none(`
       UPDATE list_voters
@@ -617,7 +749,7 @@ router.delete('/:id', async (req, res) => {
       WHERE turf_id = $1
     `, [id]);
 
-    await db.none('DELETE FROM turfs WHERE id = $1 AND user_id = $2', [id, userId]);
+    await db.none('DELETE FROM turfs WHERE id = $1', [id]);
 
     res.json({ success: true });
 
@@ -5,14 +5,48 @@
 
 import { Router } from 'express';
 import { db } from '../config/database.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { confidentialCondition, confidentialCounts, redactConfidentialVoter } from '../middleware/confidential.js';
+import { QueryConfigError } from '../query/errors.js';
+import { parseNameQuery, buildNameSearch, MIN_SCORE } from '../query/name-search.js';
 
 const router = Router();
 
+/**
+ * Voters a role without voters:read may look up: canvassers those on turfs assigned to them,
+ * phone bankers those on their organization's lists. Returns a condition on the unaliased
+ * voters table, or null when the caller can see every voter.
+ */
+function lookupScope(req, param) {
+  if (hasPermission(req.userRole, 'voters:read')) return null;
+
+  const scopes = [];
+  if (hasPermission(req.userRole, 'lists:read')) {
+    scopes.push(`EXISTS (
+      SELECT 1 FROM list_voters lv JOIN lists l ON l.id = lv.list_id
+      WHERE lv.ncid = voters.ncid AND l.organization = ${param(req.organization)}
+    )`);
+  }
+  if (hasPermission(req.userRole, 'turfs:read')) {
+    scopes.push(`EXISTS (
+      SELECT 1
+      FROM list_voters lv
+      JOIN turfs t ON t.id = lv.turf_id AND t.list_id = lv.list_id
+      JOIN turf_assignments ta ON ta.turf_id = t.id
+      WHERE lv.ncid = voters.ncid AND t.organization = ${param(req.organization)} AND ta.user_id = ${param(req.userId)}
+    )`);
+  }
+
+  return scopes.length > 0 ? `(${scopes.join(' OR ')})` : 'FALSE';
+}
+
 /**
  * GET /api/voters
  * List voters with basic filters and pagination
+ * Canvassers and phone bankers (e.g. address lookups at the door) only see voters on their turfs or lists.
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('voters:lookup'), async (req, res) => {
   try {
     const {
       county,
@@ -55,6 +89,21 @@ router.get('/', async (req, res) => {
       paramIndex += 2;
     }
 
+    const scope = lookupScope(req, value => {
+      params.push(value);
+      return `$${paramIndex++}`;
+    });
+    if (scope) {
+      conditions.push(scope);
+    }
+
+    const matchWhereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
+
     const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
     const query = `
@@ -80,11 +129,22 @@ router.get('/', async (req, res) => {
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
+    const counts = await db.one(`SELECT ${confidentialCounts(req)} FROM voters ${matchWhereClause}`, params);
+
     params.push(Math.min(parseInt(limit), 500), parseInt(offset));
 
     const voters = await db.manyOrNone(query, params);
 
-    res.json({ voters });
+    await recordAudit(req, {
+      action: 'voter.list',
+      queryConfig: { county, precinct, party, search, limit, offset },
+      rowCount: voters.length,
+    });
+
+    res.json({
+      voters,
+      excluded_confidential: parseInt(counts.excluded_confidential),
+    });
 
   } catch (err) {
     console.error('[Voters List Error]', err);
@@ -92,14 +152,97 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/voters/search
+ * Ranked fuzzy/phonetic name search ("Jon Smyth", "Smith, J.", "Mcdonald"); optional county, precinct, zip
+ * Canvassers and phone bankers only find voters on their turfs or lists.
+ */
+router.get('/search', requirePermission('voters:lookup'), async (req, res) => {
+  try {
+    const { q, county, precinct, zip } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const parsed = parseNameQuery(q);
+
+    const params = [];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const { candidate, score } = buildNameSearch(parsed, param);
+    const conditions = ['registration_status = \'ACTIVE\'', candidate];
+
+    if (county) conditions.push(`county_name = ${param(county)}`);
+    if (precinct) conditions.push(`precinct_name = ${param(precinct)}`);
+    if (zip) conditions.push(`zip_code = ${param(zip)}`);
+
+    const scope = lookupScope(req, param);
+    if (scope) conditions.push(scope);
+
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
+
+    const voters = await db.manyOrNone(`
+      SELECT * FROM (
+        SELECT
+          ncid,
+          first_name,
+          middle_name,
+          last_name,
+          name_suffix,
+          street_address,
+          city,
+          zip_code,
+          county_name,
+          precinct_name,
+          age,
+          sex,
+          party,
+          phone,
+          ROUND((${score})::numeric, 3)::float AS score
+        FROM voters
+        WHERE ${conditions.join(' AND ')}
+      ) ranked
+      WHERE score >= ${param(MIN_SCORE)}
+      ORDER BY score DESC, last_name, first_name
+      LIMIT ${param(limit)}
+    `, params);
+
+    await recordAudit(req, {
+      action: 'voter.search',
+      queryConfig: { q, county, precinct, zip, limit },
+      rowCount: voters.length,
+    });
+
+    res.json({ voters, parsed });
+
+  } catch (err) {
+    if (err instanceof QueryConfigError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('[Voter Search Error]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/voters/:ncid
  * Get single voter by NCID with full details
+ * Canvassers and phone bankers only see voters on their turfs or lists.
  */
-router.get('/:ncid', async (req, res) => {
+router.get('/:ncid', requirePermission('voters:lookup'), async (req, res) => {
   try {
     const { ncid } = req.params;
 
+    const params = [ncid];
+    const scope = lookupScope(req, value => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+
     const voter = await db.oneOrNone(`
       SELECT
         ncid,
@@ -138,17 +281,29 @@ router.get('/:ncid', async (req, res) => {
         ST_Y(location::geometry) as latitude,
         ST_X(location::geometry) as longitude,
         geocode_status,
+        confidential_ind,
         created_at,
         updated_at
       FROM voters
-      WHERE ncid = $1
-    `, [ncid]);
+      WHERE ncid = $1 ${scope ? `AND ${scope}` : ''}
+    `, params);
 
     if (!voter) {
       return res.status(404).json({ error: 'Voter not found' });
     }
 
-    res.json(voter);
+    // Confidential voters can still be looked up by NCID (e.g. to log a contact), but without location
+    const redact = voter.confidential_ind && !req.includeConfidential;
+
+    await recordAudit(req, {
+      action: 'voter.view',
+      targetType: 'voter',
+      targetId: ncid,
+      rowCount: 1,
+      details: redact ? { redacted: true } : null,
+    });
+
+    res.json(redact ? redactConfidentialVoter(voter) : voter);
 
   } catch (err) {
     console.error('[Voter Get Error]', err);
@@ -159,13 +314,24 @@ router.get('/:ncid', async (req, res) => {
 /**
  * GET /api/voters/:ncid/history
  * Get vote history for a voter
+ * Canvassers and phone bankers only see voters on their turfs or lists.
  */
-router.get('/:ncid/history', async (req, res) => {
+router.get('/:ncid/history', requirePermission('voters:lookup'), async (req, res) => {
   try {
     const { ncid } = req.params;
 
+    const params = [ncid];
+    const scope = lookupScope(req, value => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    if (scope && !await db.oneOrNone(`SELECT 1 FROM voters WHERE ncid = $1 AND ${scope}`, params)) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
     const history = await db.manyOrNone(`
       SELECT
+        ncid,
         election_date,
         election_type,
         election_desc,
@@ -176,6 +342,8 @@ router.get('/:ncid/history', async (req, res) => {
       ORDER BY election_date DESC
     `, [ncid]);
 
+    await recordAudit(req, { action: 'voter.history', targetType: 'voter', targetId: ncid, rowCount: history.length });
+
     res.json(history);
 
   } catch (err) {
@@ -188,8 +356,9 @@ router.get('/:ncid/history', async (req, res) => {
  * GET /api/voters/:ncid/contacts
  * Get contact history for a voter
  */
-router.get('/:ncid/contacts', async (req, res) => {
+router.get('/:ncid/contacts', requirePermission('contacts:read'), async (req, res) => {
   try {
+    const organization = req.organization;
     const { ncid } = req.params;
 
     const contacts = await db.manyOrNone(`
@@ -205,9 +374,11 @@ router.get('/:ncid/contacts', async (req, res) => {
       FROM contact_history ch
       LEFT JOIN lists l ON ch.list_id = l.id
       LEFT JOIN turfs t ON ch.turf_id = t.id
-      WHERE ch.ncid = $1
+      WHERE ch.ncid = $1 AND ch.organization = $2
       ORDER BY ch.contacted_at DESC
-    `, [ncid]);
+    `, [ncid, organization]);
+
+    await recordAudit(req, { action: 'voter.contacts', targetType: 'voter', targetId: ncid, rowCount: contacts.length });
 
     res.json(contacts);
 
@@ -221,10 +392,10 @@ router.get('/:ncid/contacts', async (req, res) => {
  * POST /api/voters/:ncid/contact
  * Log a contact attempt for a voter
  */
-router.post('/:ncid/contact', async (req, res) => {
+router.post('/:ncid/contact', requirePermission('contacts:write'), async (req, res) => {
   try {
     const { ncid } = req.params;
-    const userId = req.userId || 1;
+    const { userId, organization } = req;
     const {
       contact_type,
       contact_result,
@@ -238,12 +409,27 @@ router.post('/:ncid/contact', async (req, res) => {
       return res.status(400).json({ error: 'contact_type is required' });
     }
 
+    // Contacts can only be attached to this organization's lists and turfs
+    if (list_id) {
+      const list = await db.oneOrNone('SELECT id FROM lists WHERE id = $1 AND organization = $2', [list_id, organization]);
+      if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+      }
+    }
+
+    if (turf_id) {
+      const turf = await db.oneOrNone('SELECT id FROM turfs WHERE id = $1 AND organization = $2', [turf_id, organization]);
+      if (!turf) {
+        return res.status(404).json({ error: 'Turf not found' });
+      }
+    }
+
     const contact = await db.one(`
       INSERT INTO contact_history
-        (user_id, ncid, list_id, turf_id, contact_type, contact_result, survey_responses, notes)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        (user_id, organization, ncid, list_id, turf_id, contact_type, contact_result, survey_responses, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING id, contact_type, contact_result, contacted_at
-    `, [userId, ncid, list_id, turf_id, contact_type, contact_result, survey_responses, notes]);
+    `, [userId, organization, ncid, list_id, turf_id, contact_type, contact_result, survey_responses, notes]);
 
     // Update list_voters contact status if applicable
     if (list_id) {
@@ -266,7 +452,7 @@ router.post('/:ncid/contact', async (req, res) => {
  * GET /api/voters/household/:address
  * Get all voters at an address
  */
-router.get('/household/:address', async (req, res) => {
+router.get('/household/:address', requirePermission('voters:read'), async (req, res) => {
   try {
     const { address } = req.params;
     const { city, zip } = req.query;
@@ -275,6 +461,11 @@ router.get('/household/:address', async (req, res) => {
     const params = [address];
     let paramIndex = 2;
 
+    const confidential = confidentialCondition(req);
+    if (confidential) {
+      conditions.push(confidential);
+    }
+
     if (city) {
       conditions.push(`city = $${paramIndex}`);
       params.push(city);
@@ -301,6 +492,14 @@ router.get('/household/:address', async (req, res) => {
       ORDER BY last_name, first_name
     `, params);
 
+    await recordAudit(req, {
+      action: 'voter.household',
+      targetType: 'address',
+      targetId: address,
+      queryConfig: { address, city, zip },
+      rowCount: voters.length,
+    });
+
     res.json({
       address,
       voterCount: voters.length,
@@ -317,7 +516,7 @@ router.get('/household/:address', async (req, res) => {
  * GET /api/voters/nearby
  * Get voters near a location
  */
-router.get('/nearby', async (req, res) => {
+router.get('/nearby', requirePermission('voters:read'), async (req, res) => {
   try {
     const { lat, lng, radius = 100 } = req.query;
 
@@ -325,6 +524,9 @@ router.get('/nearby', async (req, res) => {
       return res.status(400).json({ error: 'lat and lng are required' });
     }
 
+    // No exclusion count here or on household lookups: at a single address it would reveal the voter
+    const confidential = confidentialCondition(req);
+
     const voters = await db.manyOrNone(`
       SELECT
         ncid,
@@ -337,10 +539,17 @@ router.get('/nearby', async (req, res) => {
       FROM voters
       WHERE location IS NOT NULL
         AND ST_DWithin(location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+        ${confidential ? `AND ${confidential}` : ''}
       ORDER BY distance
       LIMIT 50
     `, [parseFloat(lng), parseFloat(lat), parseFloat(radius)]);
 
+    await recordAudit(req, {
+      action: 'voter.nearby',
+      queryConfig: { lat, lng, radius },
+      rowCount: voters.length,
+    });
+
     res.json(voters);
 
   } catch (err) {
@@ -18,6 +18,7 @@ import https from 'https';
 import { fileURLToPath } from 'url';
 import { ingestVoterFile } from '../ingestion/ingest-ncsbe.js';
 import { ingestHistoryFile } from '../ingestion/ingest-history.js';
+import { refreshAllDynamicLists } from '../utils/dynamic-lists.js';
 import { db } from '../config/database.js';
 import dotenv from 'dotenv';
 
@@ -199,8 +200,12 @@ async function runWeeklyUpdate(options = {}) {
     console.log('\n🔄 Step 5: Importing vote history...');
     const historyResult = await ingestHistoryFile(historyPath, { county });
 
-    // Step 6: Update statistics
-    console.log('\n📊 Step 6: Updating database statistics...');
+    // Step 6: Re-evaluate dynamic lists against the new data
+    console.log('\n🔁 Step 6: Refreshing dynamic lists...');
+    const listResults = await refreshAllDynamicLists({ trigger: 'ingestion' });
+
+    // Step 7: Update statistics
+    console.log('\n📊 Step 7: Updating database statistics...');
     await db.none('VACUUM ANALYZE voters');
     await db.none('VACUUM ANALYZE vote_history');
 
@@ -222,6 +227,7 @@ async function runWeeklyUpdate(options = {}) {
       importedRecords: voterResult.totalRecords + historyResult.totalRecords,
       voterRecords: voterResult.totalRecords,
       historyRecords: historyResult.totalRecords,
+      dynamicListsRefreshed: listResults.filter(result => !result.error).length,
       durationMinutes,
       errors: [...voterResult.errors, ...historyResult.errors],
     };
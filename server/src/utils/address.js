@@ -0,0 +1,313 @@
+/**
+ * Street address standardization
+ *
+ * Parses residential street addresses into house number, directionals, street name, USPS suffix
+ * and unit, so "123 Main Street Apt 2" and "123 MAIN ST #2" compare equal. Shared by household
+ * grouping, geocoding and walk-sheet sorting.
+ */
+
+import crypto from 'crypto';
+
+// USPS Publication 28 street suffixes (common spellings -> standard abbreviation)
+const SUFFIX_VARIANTS = {
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'],
+  ANX: ['ANNEX', 'ANNX', 'ANEX'],
+  ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'],
+  BCH: ['BEACH'],
+  BND: ['BEND'],
+  BLF: ['BLUFF'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'],
+  BR: ['BRANCH', 'BRNCH'],
+  BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'],
+  BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  CSWY: ['CAUSEWAY', 'CAUSWA'],
+  CTR: ['CENTER', 'CENTRE', 'CEN', 'CENT', 'CENTR', 'CNTER', 'CNTR'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'],
+  CLF: ['CLIFF'],
+  CMN: ['COMMON'],
+  COR: ['CORNER'],
+  CORS: ['CORNERS'],
+  CRSE: ['COURSE'],
+  CT: ['COURT'],
+  CTS: ['COURTS'],
+  CV: ['COVE'],
+  CRK: ['CREEK'],
+  CRES: ['CRESCENT', 'CRSENT', 'CRSNT'],
+  CRST: ['CREST'],
+  XING: ['CROSSING', 'CRSSNG'],
+  CURV: ['CURVE'],
+  DL: ['DALE'],
+  DR: ['DRIVE', 'DRIV', 'DRV'],
+  EST: ['ESTATE'],
+  ESTS: ['ESTATES'],
+  EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'],
+  EXT: ['EXTENSION', 'EXTN', 'EXTNSN'],
+  FLS: ['FALLS'],
+  FRY: ['FERRY', 'FRRY'],
+  FLD: ['FIELD'],
+  FLDS: ['FIELDS'],
+  FLT: ['FLAT'],
+  FRD: ['FORD'],
+  FRST: ['FOREST', 'FORESTS'],
+  FRK: ['FORK'],
+  FRKS: ['FORKS'],
+  FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'],
+  GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'],
+  GDNS: ['GARDENS', 'GRDNS'],
+  GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'],
+  GLN: ['GLEN'],
+  GRN: ['GREEN'],
+  GRV: ['GROVE', 'GROV'],
+  HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  HVN: ['HAVEN'],
+  HTS: ['HEIGHTS', 'HT'],
+  HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'],
+  HL: ['HILL'],
+  HLS: ['HILLS'],
+  HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'],
+  IS: ['ISLAND', 'ISLND'],
+  JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'],
+  KNL: ['KNOLL', 'KNOL'],
+  LK: ['LAKE'],
+  LKS: ['LAKES'],
+  LNDG: ['LANDING', 'LNDNG'],
+  LN: ['LANE'],
+  LOOP: ['LOOPS'],
+  MNR: ['MANOR'],
+  MDW: ['MEADOW'],
+  MDWS: ['MEADOWS', 'MEDOWS'],
+  ML: ['MILL'],
+  MT: ['MOUNT', 'MNT'],
+  MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'],
+  ORCH: ['ORCHARD', 'ORCHRD'],
+  PARK: ['PRK', 'PARKS'],
+  PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY', 'PARKWAYS', 'PKWYS'],
+  PASS: [],
+  PATH: ['PATHS'],
+  PIKE: ['PIKES'],
+  PNES: ['PINES'],
+  PL: ['PLACE'],
+  PLN: ['PLAIN'],
+  PLZ: ['PLAZA', 'PLZA'],
+  PT: ['POINT'],
+  PRT: ['PORT'],
+  RNCH: ['RANCH', 'RANCHES', 'RNCHS'],
+  RDG: ['RIDGE', 'RDGE'],
+  RIV: ['RIVER', 'RVR', 'RIVR'],
+  RD: ['ROAD'],
+  RDS: ['ROADS'],
+  RTE: ['ROUTE'],
+  ROW: [],
+  RUN: [],
+  SHR: ['SHORE', 'SHOAR'],
+  SPG: ['SPRING', 'SPNG', 'SPRNG'],
+  SPGS: ['SPRINGS', 'SPNGS', 'SPRNGS'],
+  SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'],
+  STA: ['STATION', 'STATN', 'STN'],
+  ST: ['STREET', 'STRT', 'STR'],
+  SMT: ['SUMMIT', 'SUMIT', 'SUMITT'],
+  TER: ['TERRACE', 'TERR'],
+  TRCE: ['TRACE', 'TRACES'],
+  TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'],
+  VLY: ['VALLEY', 'VALLY', 'VLLY'],
+  VW: ['VIEW'],
+  VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  VIS: ['VISTA', 'VIST', 'VST', 'VSTA'],
+  WALK: ['WALKS'],
+  WAY: ['WY'],
+};
+
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  N: 'N', S: 'S', E: 'E', W: 'W', NE: 'NE', NW: 'NW', SE: 'SE', SW: 'SW',
+};
+
+// Secondary unit designators -> USPS abbreviation (the ones on the right never carry a number)
+const UNIT_DESIGNATORS = {
+  APARTMENT: 'APT', APT: 'APT', UNIT: 'UNIT', SUITE: 'STE', STE: 'STE', ROOM: 'RM', RM: 'RM',
+  LOT: 'LOT', TRAILER: 'TRLR', TRLR: 'TRLR', BUILDING: 'BLDG', BLDG: 'BLDG', FLOOR: 'FL', FL: 'FL',
+  SPACE: 'SPC', SPC: 'SPC', DEPARTMENT: 'DEPT', DEPT: 'DEPT', SLIP: 'SLIP', PIER: 'PIER',
+  HANGAR: 'HNGR', HNGR: 'HNGR', STOP: 'STOP', '#': '#',
+};
+const BARE_UNIT_DESIGNATORS = {
+  REAR: 'REAR', FRONT: 'FRNT', FRNT: 'FRNT', UPPER: 'UPPR', UPPR: 'UPPR', LOWER: 'LOWR',
+  LOWR: 'LOWR', BASEMENT: 'BSMT', BSMT: 'BSMT', PENTHOUSE: 'PH', PH: 'PH', LOBBY: 'LBBY',
+  LBBY: 'LBBY', OFFICE: 'OFC', OFC: 'OFC', SIDE: 'SIDE',
+};
+
+const SUFFIXES = {};
+for (const [standard, variants] of Object.entries(SUFFIX_VARIANTS)) {
+  SUFFIXES[standard] = standard;
+  for (const variant of variants) SUFFIXES[variant] = standard;
+}
+
+export const HOUSEHOLD_MODES = ['unit', 'building'];
+
+const UNIT_PATTERN = new RegExp(
+  `\\s(?:(${Object.keys(UNIT_DESIGNATORS).filter(key => key !== '#').join('|')})\\s*#?\\s*|#\\s*)([A-Z0-9-]+)$`
+);
+const BARE_UNIT_PATTERN = new RegExp(`\\s(${Object.keys(BARE_UNIT_DESIGNATORS).join('|')})$`);
+const HOUSE_NUMBER_PATTERN = /^(\d+)((?:-?[A-Z])?(?:-\d+[A-Z]?)?)(?:\s+(1\/2))?\s+/;
+
+/**
+ * Unit identifiers compare without leading zeros ("APT 02" = "#2")
+ */
+function unitId(id) {
+  return id.replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Parse a street address line
+ * @param {string} street - e.g. "123 n. Main Street Apt 2"
+ * @returns {{ number: number|null, number_suffix: string, predirectional: string, name: string,
+ *   suffix: string, postdirectional: string, unit_type: string, unit: string }}
+ */
+export function parseAddress(street) {
+  let text = String(street || '')
+    .toUpperCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const parsed = {
+    number: null,
+    number_suffix: '',
+    predirectional: '',
+    name: '',
+    suffix: '',
+    postdirectional: '',
+    unit_type: '',
+    unit: '',
+  };
+
+  // Unit at the end: "APT 2", "APT#2", "#2", "STE 100", "REAR" (but not the street in "10 APT RD")
+  const hasStreet = rest => /[A-Z]/.test(`${rest} `.replace(HOUSE_NUMBER_PATTERN, ''));
+  const unit = ` ${text}`.match(UNIT_PATTERN);
+  const bare = unit ? null : ` ${text}`.match(BARE_UNIT_PATTERN);
+  if (unit && hasStreet(` ${text}`.slice(0, unit.index).trim())) {
+    parsed.unit_type = unit[1] ? UNIT_DESIGNATORS[unit[1]] : '#';
+    parsed.unit = unitId(unit[2]);
+    text = ` ${text}`.slice(0, unit.index).trim();
+  } else if (bare && hasStreet(` ${text}`.slice(0, bare.index).trim())) {
+    parsed.unit_type = BARE_UNIT_DESIGNATORS[bare[1]];
+    parsed.unit = parsed.unit_type;
+    text = ` ${text}`.slice(0, bare.index).trim();
+  }
+
+  const number = text.match(HOUSE_NUMBER_PATTERN);
+  if (number) {
+    parsed.number = parseInt(number[1]);
+    parsed.number_suffix = [number[2], number[3]].filter(Boolean).join(' ');
+    text = text.slice(number[0].length);
+  }
+
+  const tokens = text.split(' ').filter(Boolean);
+
+  // "MAIN ST NW": a trailing directional after at least a street name
+  if (tokens.length >= 2 && DIRECTIONALS[tokens[tokens.length - 1]] && !DIRECTIONALS[tokens[tokens.length - 2]]) {
+    parsed.postdirectional = DIRECTIONALS[tokens.pop()];
+  }
+  // The suffix and predirectional are only split off when a street name is left over ("N ST" stays)
+  if (tokens.length >= 2 && SUFFIXES[tokens[tokens.length - 1]]) {
+    parsed.suffix = SUFFIXES[tokens.pop()];
+  }
+  if (tokens.length >= 2 && DIRECTIONALS[tokens[0]]) {
+    parsed.predirectional = DIRECTIONALS[tokens.shift()];
+  }
+
+  parsed.name = tokens.join(' ');
+  return parsed;
+}
+
+/**
+ * Building part of a parsed address: "123 N MAIN ST NW"
+ */
+function buildingLine(parsed) {
+  const number = parsed.number !== null ? `${parsed.number}${parsed.number_suffix.startsWith('1/2') ? ' ' : ''}${parsed.number_suffix}` : '';
+  return [number, parsed.predirectional, parsed.name, parsed.suffix, parsed.postdirectional]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Standardized address line, with or without the unit
+ * @param {string} street
+ * @param {object} [options] - { unit: false } drops the unit (e.g. for geocoding)
+ */
+export function standardizeAddress(street, { unit = true } = {}) {
+  const parsed = parseAddress(street);
+  const line = buildingLine(parsed);
+  if (!unit || !parsed.unit) return line;
+  // Bare designators ("REAR") are their own unit
+  const unitLine = parsed.unit_type === parsed.unit ? parsed.unit : `${parsed.unit_type} ${parsed.unit}`;
+  return `${line} ${unitLine}`;
+}
+
+/**
+ * Household id for a voter: everyone at the same standardized address (and, in "unit" mode,
+ * the same unit) shares one. Voters without a street address are their own household.
+ * @param {object} voter - { ncid, street_address, city, zip_code }
+ * @param {string} [mode] - 'unit' (default) or 'building'
+ */
+export function householdKey(voter, mode = 'unit') {
+  const parsed = parseAddress(voter.street_address);
+  const line = buildingLine(parsed);
+  if (!line) {
+    return crypto.createHash('md5').update(`no-address|${voter.ncid}`).digest('hex');
+  }
+
+  const parts = [
+    line,
+    String(voter.city || '').toUpperCase().trim(),
+    String(voter.zip_code || '').slice(0, 5),
+  ];
+  // Unit identifiers ignore the designator, so "APT 2" and "#2" are one household
+  if (mode === 'unit') parts.push(parsed.unit);
+
+  return crypto.createHash('md5').update(parts.join('|')).digest('hex');
+}
+
+const collator = new Intl.Collator('en', { numeric: true });
+
+/**
+ * Sort key for walking order: ZIP, street, side of the street (odd/even), house number, unit
+ */
+export function walkOrderKey(voter) {
+  const parsed = parseAddress(voter.street_address);
+  return {
+    zip: String(voter.zip_code || '').slice(0, 5),
+    street: [parsed.name, parsed.suffix, parsed.predirectional, parsed.postdirectional].join(' '),
+    side: parsed.number === null ? 2 : parsed.number % 2,
+    number: parsed.number === null ? Infinity : parsed.number,
+    number_suffix: parsed.number_suffix,
+    unit: parsed.unit,
+    name: `${voter.last_name || ''} ${voter.first_name || ''}`,
+  };
+}
+
+/**
+ * Comparator for walk-sheet order (use with walkOrderKey results)
+ */
+export function compareWalkOrder(a, b) {
+  return collator.compare(a.zip, b.zip)
+    || collator.compare(a.street, b.street)
+    || a.side - b.side
+    || (a.number === b.number ? 0 : a.number < b.number ? -1 : 1)
+    || collator.compare(a.number_suffix, b.number_suffix)
+    || collator.compare(a.unit, b.unit)
+    || collator.compare(a.name, b.name);
+}
+
+/**
+ * Voters in walking order (returns a new array)
+ */
+export function sortForWalking(voters) {
+  return voters
+    .map(voter => ({ voter, key: walkOrderKey(voter) }))
+    .sort((a, b) => compareWalkOrder(a.key, b.key))
+    .map(({ voter }) => voter);
+}
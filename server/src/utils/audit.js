@@ -0,0 +1,74 @@
+/**
+ * PII access audit log
+ * Every read or export of voter-level data records who did it, what they touched and how many rows.
+ * The audit_log table is append-only (UPDATE/DELETE are rejected by a trigger).
+ */
+
+import { db } from '../config/database.js';
+
+/**
+ * Audit actions, grouped by what they expose
+ */
+export const AUDIT_ACTIONS = [
+  'voter.list',
+  'voter.view',
+  'voter.search',
+  'voter.history',
+  'voter.contacts',
+  'voter.household',
+  'voter.nearby',
+  'query.build',
+  'query.stream',
+  'query.stream.end',
+  'list.voters',
+  'list.refresh',
+  'roster.rows',
+  'turf.voters',
+  'turf.route',
+  'map.data',
+  'stats.demographics',
+  'export.csv',
+  'export.pdf',
+];
+
+/**
+ * Record one audit entry for the current request
+ *
+ * Awaited by callers before PII leaves the server, so a failed write fails the request
+ * instead of leaking unaudited data.
+ *
+ * @param {object} req - Express request (actor, organization, session, IP)
+ * @param {object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} [entry.targetType] - 'voter', 'list', 'turf', 'query', ...
+ * @param {string|number} [entry.targetId] - NCID, list id, turf id
+ * @param {object} [entry.queryConfig] - Filters used to select the rows
+ * @param {number} [entry.rowCount] - Number of voter rows returned
+ * @param {object} [entry.details] - Anything else worth keeping (format, fields, ...)
+ */
+export async function recordAudit(req, { action, targetType = null, targetId = null, queryConfig = null, rowCount = null, details = null }) {
+  await db.none(`
+    INSERT INTO audit_log
+      (user_id, user_email, user_role, organization, session_id, action,
+       target_type, target_id, query_config, row_count, details, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+  `, [
+    req.userId || null,
+    req.userEmail || null,
+    req.userRole || null,
+    req.organization || null,
+    req.sessionId || null,
+    action,
+    targetType,
+    targetId !== null && targetId !== undefined ? String(targetId) : null,
+    queryConfig ? JSON.stringify(queryConfig) : null,
+    rowCount,
+    details || req.includeConfidential
+      ? JSON.stringify({ ...details, ...(req.includeConfidential ? { include_confidential: true } : {}) })
+      : null,
+    req.ip || null,
+    (req.get('user-agent') || '').slice(0, 500) || null,
+  ]);
+}
+
+export default recordAudit;
@@ -0,0 +1,139 @@
+/**
+ * Dynamic list refresh
+ *
+ * A dynamic list re-runs its stored query_config against the current voter file. Voters who
+ * still match keep their row (contact status, notes, household and turf); voters who no longer
+ * match are removed and new matches are appended in name order.
+ */
+
+import { db } from '../config/database.js';
+import { buildWhereClause } from '../query/compiler.js';
+import { groupHouseholds, selectHouseholdHeads } from './households.js';
+
+/**
+ * Re-evaluate one dynamic list
+ * @param {object} list - lists row (id, organization, settings)
+ * @param {object} options
+ * @param {string} options.trigger - 'manual' or 'ingestion'
+ * @param {number} [options.userId] - Who asked for a manual refresh
+ * @returns {Promise<{ refresh_id: number, added: string[], removed: string[], voter_count: number, refreshed_at: Date }>}
+ */
+export async function refreshDynamicList(list, { trigger, userId = null }) {
+  const settings = list.settings || {};
+
+  // $1 is the list id
+  const { conditions, params } = buildWhereClause(settings.query_config || {}, {
+    startParamIndex: 2,
+    organization: list.organization,
+  });
+  // Confidential voters stay out unless the list was created by someone allowed to include them
+  if (!settings.include_confidential) {
+    conditions.push('confidential_ind IS NOT TRUE');
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return db.tx(async t => {
+    const removedRows = await t.manyOrNone(`
+      WITH matched AS (
+        SELECT ncid FROM voters ${whereClause}
+      )
+      DELETE FROM list_voters lv
+      WHERE lv.list_id = $1 AND NOT EXISTS (SELECT 1 FROM matched m WHERE m.ncid = lv.ncid)
+      RETURNING lv.ncid, lv.turf_id
+    `, [list.id, ...params]);
+
+    const addedRows = await t.manyOrNone(`
+      INSERT INTO list_voters (list_id, ncid, sort_order)
+      SELECT
+        $1,
+        voters.ncid,
+        (SELECT COALESCE(MAX(sort_order), 0) FROM list_voters WHERE list_id = $1)
+          + ROW_NUMBER() OVER (ORDER BY voters.last_name, voters.first_name)
+      FROM voters
+      ${whereClause ? `${whereClause} AND` : 'WHERE'}
+        NOT EXISTS (SELECT 1 FROM list_voters lv WHERE lv.list_id = $1 AND lv.ncid = voters.ncid)
+      RETURNING ncid
+    `, [list.id, ...params]);
+
+    // New voters join households the same way POST /api/lists/:id/household grouped the rest
+    if (settings.household_grouped && addedRows.length > 0) {
+      await groupHouseholds(t, list.id, {
+        mode: settings.household_mode || 'unit',
+        missingOnly: true,
+        reorder: false,
+      });
+    }
+    // Membership changed, so re-pick household heads with the list's rules
+    if (settings.household_head_rules && (addedRows.length > 0 || removedRows.length > 0)) {
+      await selectHouseholdHeads(t, list.id, settings.household_head_rules);
+    }
+
+    // Turfs that lost voters: fix their counts and drop routes that would still visit them
+    const turfIds = [...new Set(removedRows.map(row => row.turf_id).filter(Boolean))];
+    if (turfIds.length > 0) {
+      await t.none(`
+        UPDATE turfs
+        SET
+          voter_count = (SELECT COUNT(*) FROM list_voters WHERE list_id = $1 AND turf_id = turfs.id),
+          route_data = NULL,
+          updated_at = NOW()
+        WHERE id = ANY($2)
+      `, [list.id, turfIds]);
+    }
+
+    const added = addedRows.map(row => row.ncid);
+    const removed = removedRows.map(row => row.ncid);
+
+    const { count } = await t.one('SELECT COUNT(*) AS count FROM list_voters WHERE list_id = $1', [list.id]);
+
+    const refresh = await t.one(`
+      INSERT INTO list_refreshes (list_id, user_id, trigger, added, removed, added_count, removed_count, voter_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, refreshed_at
+    `, [list.id, userId, trigger, added, removed, added.length, removed.length, count]);
+
+    await t.none(`
+      UPDATE lists
+      SET
+        voter_count = $2,
+        settings = settings || jsonb_build_object('last_refreshed_at', $3::timestamptz),
+        updated_at = NOW()
+      WHERE id = $1
+    `, [list.id, count, refresh.refreshed_at]);
+
+    return {
+      refresh_id: refresh.id,
+      added,
+      removed,
+      voter_count: parseInt(count),
+      refreshed_at: refresh.refreshed_at,
+    };
+  });
+}
+
+/**
+ * Refresh every dynamic list (run after each voter file or history ingestion)
+ * A list whose refresh fails is logged and skipped so the rest still update.
+ */
+export async function refreshAllDynamicLists({ trigger = 'ingestion' } = {}) {
+  const lists = await db.manyOrNone(`
+    SELECT id, name, organization, settings
+    FROM lists
+    WHERE list_type = 'dynamic'
+    ORDER BY id
+  `);
+
+  const results = [];
+  for (const list of lists) {
+    try {
+      const result = await refreshDynamicList(list, { trigger });
+      console.log(`   ↻ ${list.name}: +${result.added.length} / -${result.removed.length} (${result.voter_count.toLocaleString()} voters)`);
+      results.push({ list_id: list.id, added: result.added.length, removed: result.removed.length });
+    } catch (err) {
+      console.error(`   ✗ ${list.name}: ${err.message}`);
+      results.push({ list_id: list.id, error: err.message });
+    }
+  }
+
+  return results;
+}
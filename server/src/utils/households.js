@@ -0,0 +1,126 @@
+/**
+ * Household grouping for lists
+ *
+ * Household ids and walking order are computed from standardized addresses (utils/address.js)
+ * rather than raw text, so spelling variants of one address land in the same household.
+ */
+
+import { pgp } from '../config/database.js';
+import { householdKey, sortForWalking } from './address.js';
+import { headOrderBy } from '../query/household-heads.js';
+
+const UPDATE_BATCH_SIZE = 5000;
+
+/**
+ * Assign household ids (and optionally walking order) to a list's voters
+ * @param {object} t - Database or transaction to run on
+ * @param {number} listId
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'unit' (default) or 'building'
+ * @param {boolean} [options.missingOnly] - Only voters without a household id yet
+ * @param {boolean} [options.reorder] - Renumber sort_order in walking order
+ * @returns {Promise<number>} Voters updated
+ */
+export async function groupHouseholds(t, listId, { mode = 'unit', missingOnly = false, reorder = true } = {}) {
+  const voters = await t.manyOrNone(`
+    SELECT lv.ncid, lv.sort_order, v.street_address, v.city, v.zip_code, v.last_name, v.first_name
+    FROM list_voters lv
+    JOIN voters v ON lv.ncid = v.ncid
+    WHERE lv.list_id = $1 ${missingOnly ? 'AND lv.household_id IS NULL' : ''}
+  `, [listId]);
+
+  const ordered = reorder ? sortForWalking(voters) : voters;
+  const rows = ordered.map((voter, i) => ({
+    ncid: voter.ncid,
+    household_id: householdKey(voter, mode),
+    sort_order: reorder ? i + 1 : voter.sort_order,
+  }));
+
+  const columnSet = new pgp.helpers.ColumnSet([
+    '?ncid',
+    'household_id',
+    { name: 'sort_order', cast: 'int' },
+  ], { table: 'list_voters' });
+
+  for (let i = 0; i < rows.length; i += UPDATE_BATCH_SIZE) {
+    const batch = rows.slice(i, i + UPDATE_BATCH_SIZE);
+    await t.none(pgp.helpers.update(batch, columnSet, null, { tableAlias: 'lv', valueAlias: 'v' })
+      + pgp.as.format(' WHERE v.ncid = lv.ncid AND lv.list_id = $1', [listId]));
+  }
+
+  return rows.length;
+}
+
+/**
+ * Mark one head per household on a list (voters without a household id are their own)
+ * @param {object} t - Database or transaction to run on
+ * @param {number} listId
+ * @param {Array} rules - From parseHeadRules
+ * @returns {Promise<number>} Households (heads chosen)
+ */
+export async function selectHouseholdHeads(t, listId, rules) {
+  const params = [listId];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const { heads } = await t.one(`
+    WITH heads AS (
+      SELECT DISTINCT ON (COALESCE(lv.household_id, lv.ncid)) lv.ncid
+      FROM list_voters lv
+      JOIN voters v ON lv.ncid = v.ncid
+      WHERE lv.list_id = $1
+      ORDER BY COALESCE(lv.household_id, lv.ncid), ${headOrderBy(rules, param)}
+    ),
+    updated AS (
+      UPDATE list_voters lv
+      SET is_household_head = lv.ncid IN (SELECT ncid FROM heads)
+      WHERE lv.list_id = $1
+      RETURNING is_household_head
+    )
+    SELECT COUNT(*) FILTER (WHERE is_household_head) AS heads FROM updated
+  `, params);
+
+  return parseInt(heads);
+}
+
+/**
+ * Voter file names are upper case: "O'BRIEN-SMITH" -> "O'Brien-Smith", "MCDONALD" -> "McDonald"
+ */
+function nameCase(name) {
+  return String(name).toLowerCase()
+    .replace(/(^|[\s'-])([a-z])/g, (_, boundary, letter) => boundary + letter.toUpperCase())
+    .replace(/\bMc([a-z])/g, (_, letter) => `Mc${letter.toUpperCase()}`);
+}
+
+/**
+ * Mail greeting for a household: "The Smith Household", or "The Smith and Jones Household"
+ * when two surnames live there. With more, the head's surname is used.
+ * @param {string[]} lastNames - Members' last names, head first
+ * @returns {string|null}
+ */
+export function householdGreeting(lastNames) {
+  const names = [...new Set(lastNames.filter(Boolean).map(name => nameCase(name.trim())))];
+  if (names.length === 0) return null;
+  return `The ${names.length === 2 ? names.join(' and ') : names[0]} Household`;
+}
+
+/**
+ * Voters grouped by household (voters without a household id are their own), in order of each
+ * household's first member. The head is the member marked is_household_head, else the first.
+ * @returns {Array<{ head: object, members: object[] }>}
+ */
+export function groupByHousehold(voters) {
+  const households = new Map();
+  for (const voter of voters) {
+    const key = voter.household_id || `ncid:${voter.ncid}`;
+    if (!households.has(key)) households.set(key, []);
+    households.get(key).push(voter);
+  }
+
+  return [...households.values()].map(members => ({
+    head: members.find(member => member.is_household_head) || members[0],
+    members,
+  }));
+}
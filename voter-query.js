@@ -8,62 +8,136 @@ const { useState, useEffect, useCallback, useMemo, useRef } = React;
 // API Configuration
 const API_BASE = window.CIVICVOICE_API_URL || 'http://localhost:3001/api';
 
-// Utility function for API calls
-async function apiCall(endpoint, options = {}) {
-  const token = localStorage.getItem('civicvoice_token');
-  const headers = {
-    'Content-Type': 'application/json',
-    ...(token && { Authorization: `Bearer ${token}` }),
-    ...options.headers,
+// Exchange the stored refresh token for a new access token (rotates both)
+let refreshInFlight = null;
+function refreshAccessToken() {
+  const refreshToken = localStorage.getItem('civicvoice_refresh_token');
+  if (!refreshToken) return Promise.resolve(false);
+
+  // Concurrent 401s share one refresh; reusing a rotated token revokes the session
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async response => {
+        if (!response.ok) {
+          localStorage.removeItem('civicvoice_token');
+          localStorage.removeItem('civicvoice_refresh_token');
+          return false;
+        }
+        const data = await response.json();
+        localStorage.setItem('civicvoice_token', data.token);
+        localStorage.setItem('civicvoice_refresh_token', data.refreshToken);
+        return true;
+      })
+      .finally(() => { refreshInFlight = null; });
+  }
+
+  return refreshInFlight;
+}
+
+// fetch() with the access token attached, retrying once after a refresh on 401
+async function authorizedFetch(endpoint, options = {}) {
+  const send = () => {
+    const token = localStorage.getItem('civicvoice_token');
+    return fetch(`${API_BASE}${endpoint}`, {
+      ...options,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...options.headers,
+      },
+    });
   };
 
-  const response = await fetch(`${API_BASE}${endpoint}`, {
+  const response = await send();
+  if (response.status === 401 && await refreshAccessToken()) {
+    return send();
+  }
+  return response;
+}
+
+// Utility function for API calls
+async function apiCall(endpoint, options = {}) {
+  const response = await authorizedFetch(endpoint, {
     ...options,
-    headers,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Request failed' }));
-    throw new Error(error.error || 'Request failed');
+    // Keep the rest of the body (e.g. a query text error's position) for callers that use it
+    throw Object.assign(new Error(error.error || 'Request failed'), { status: response.status, details: error });
   }
 
   return response.json();
 }
 
+// Download an authenticated export (window.open cannot send the Authorization header)
+async function downloadFile(endpoint) {
+  const response = await authorizedFetch(endpoint);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Download failed' }));
+    throw new Error(error.error || 'Download failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : 'export';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 // ============================================================================
 // Query Builder Component
 // ============================================================================
 
+// Every filter the form edits, empty
+const EMPTY_QUERY_CONFIG = {
+  county: [],
+  precincts: [],
+  congressional_district: '',
+  nc_senate_district: '',
+  nc_house_district: '',
+  municipalities: [],
+  zip_codes: [],
+  age_min: null,
+  age_max: null,
+  sex: [],
+  race: [],
+  ethnicity: [],
+  party: [],
+  registration_status: 'ACTIVE',
+  turnout_min: null,
+  turnout_max: null,
+  partisan_min: null,
+  partisan_max: null,
+  voted_in: [],
+  did_not_vote_in: [],
+  primary_party: '',
+  voting_method: [],
+  search: '',
+};
+
 function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
-  const [config, setConfig] = useState({
-    county: [],
-    precincts: [],
-    congressional_district: '',
-    nc_senate_district: '',
-    nc_house_district: '',
-    municipalities: [],
-    zip_codes: [],
-    age_min: null,
-    age_max: null,
-    sex: [],
-    race: [],
-    ethnicity: [],
-    party: [],
-    registration_status: 'ACTIVE',
-    turnout_min: null,
-    turnout_max: null,
-    partisan_min: null,
-    partisan_max: null,
-    voted_in: [],
-    did_not_vote_in: [],
-    primary_party: '',
-    voting_method: [],
-    search: '',
-    ...initialConfig,
-  });
+  const [config, setConfig] = useState({ ...EMPTY_QUERY_CONFIG, ...initialConfig });
 
   const [options, setOptions] = useState(null);
   const [count, setCount] = useState(null);
+  const [excludedConfidential, setExcludedConfidential] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [mode, setMode] = useState('form'); // 'form' or 'text'
+  const [queryText, setQueryText] = useState('');
+  const [textError, setTextError] = useState(null);
+  const [facetsConfig, setFacetsConfig] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -89,6 +163,7 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
         body: JSON.stringify(config),
       });
       setCount(result.count);
+      setExcludedConfidential(result.excluded_confidential || 0);
       if (onQueryChange) onQueryChange(config, result.count);
     } catch (err) {
       console.error('Count error:', err);
@@ -96,14 +171,20 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
   };
 
   const handleSearch = async () => {
+    // Unapplied text edits count
+    const searchConfig = mode === 'text' ? await applyQueryText() : config;
+    if (!searchConfig) return;
+
     setLoading(true);
     setError(null);
     try {
       const result = await apiCall('/query/build', {
         method: 'POST',
-        body: JSON.stringify({ ...config, limit: 100 }),
+        body: JSON.stringify({ ...searchConfig, limit: 100, count: 'estimate', facets: true }),
       });
-      if (onSearch) onSearch(result);
+      setFacets(result.facets || null);
+      setFacetsConfig(searchConfig);
+      if (onSearch) onSearch(result, searchConfig);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -127,33 +208,51 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
   };
 
   const clearAll = () => {
-    setConfig({
-      county: [],
-      precincts: [],
-      congressional_district: '',
-      nc_senate_district: '',
-      nc_house_district: '',
-      municipalities: [],
-      zip_codes: [],
-      age_min: null,
-      age_max: null,
-      sex: [],
-      race: [],
-      ethnicity: [],
-      party: [],
-      registration_status: 'ACTIVE',
-      turnout_min: null,
-      turnout_max: null,
-      partisan_min: null,
-      partisan_max: null,
-      voted_in: [],
-      did_not_vote_in: [],
-      primary_party: '',
-      voting_method: [],
-      search: '',
-    });
+    setConfig({ ...EMPTY_QUERY_CONFIG });
+    setQueryText('');
+    setTextError(null);
+  };
+
+  // Text mode: the same config as compact query text, parsed and formatted by the server
+  const switchMode = async (next) => {
+    if (next === mode) return;
+    try {
+      if (next === 'text') {
+        const result = await apiCall('/query/format', {
+          method: 'POST',
+          body: JSON.stringify({ config }),
+        });
+        setQueryText(result.q);
+        setTextError(result.unsupported.length > 0
+          ? { message: `Not expressible as text (kept as is): ${result.unsupported.join(', ')}` }
+          : null);
+      } else if (!await applyQueryText()) {
+        return;
+      }
+      setMode(next);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
+  const applyQueryText = async () => {
+    try {
+      const result = await apiCall('/query/parse', {
+        method: 'POST',
+        body: JSON.stringify({ q: queryText }),
+      });
+      const next = { ...EMPTY_QUERY_CONFIG, ...result.config };
+      setConfig(next);
+      setTextError(null);
+      return next;
+    } catch (err) {
+      setTextError({ message: err.message, position: err.details?.position, length: err.details?.length });
+      return null;
+    }
+  };
+
+  const textOnlyFilters = Object.keys(config).filter(key => !(key in EMPTY_QUERY_CONFIG));
+
   if (!options) {
     return React.createElement('div', { className: 'p-4 text-gray-500' }, 'Loading options...');
   }
@@ -166,6 +265,19 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
         count !== null && React.createElement('span', {
           className: 'text-2xl font-bold text-blue-600'
         }, count.toLocaleString(), ' voters'),
+        excludedConfidential > 0 && React.createElement('span', {
+          className: 'text-xs text-gray-500',
+          title: 'Confidential registrations are left out of results and exports',
+        }, `+${excludedConfidential.toLocaleString()} confidential excluded`),
+        React.createElement('div', { className: 'flex border rounded overflow-hidden text-sm' },
+          ['form', 'text'].map(m =>
+            React.createElement('button', {
+              key: m,
+              onClick: () => switchMode(m),
+              className: `px-3 py-1 ${mode === m ? 'bg-blue-600 text-white' : 'hover:bg-gray-50'}`
+            }, m === 'form' ? 'Form' : 'Text')
+          )
+        ),
         React.createElement('button', {
           onClick: clearAll,
           className: 'text-sm text-gray-500 hover:text-gray-700'
@@ -178,8 +290,37 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
       className: 'mb-4 p-3 bg-red-100 text-red-700 rounded'
     }, error),
 
+    // Text editor
+    mode === 'text' && React.createElement('div', { className: 'space-y-2' },
+      React.createElement('textarea', {
+        value: queryText,
+        onChange: (e) => setQueryText(e.target.value),
+        onKeyDown: (e) => (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) && applyQueryText(),
+        placeholder: 'county:BUNCOMBE party:DEM,UNA age:18..29 voted:2024-11-05 -voted:2022-11-08 near:35.59,-82.55@800m',
+        rows: 4,
+        spellCheck: false,
+        className: 'w-full px-3 py-2 border rounded-lg font-mono text-sm',
+      }),
+      textError && React.createElement('div', { className: 'p-2 bg-red-50 text-red-700 rounded text-sm' },
+        Number.isInteger(textError.position) && React.createElement('pre', { className: 'font-mono text-xs mb-1 overflow-x-auto' },
+          queryText, '\n',
+          ' '.repeat(textError.position) + '^'.repeat(textError.length || 1)
+        ),
+        textError.message
+      ),
+      React.createElement('button', {
+        onClick: applyQueryText,
+        className: 'px-4 py-2 border rounded hover:bg-gray-50 text-sm'
+      }, 'Apply (Ctrl+Enter)')
+    ),
+
+    // Conditions the form has no controls for (set from text)
+    mode === 'form' && textOnlyFilters.length > 0 && React.createElement('div', {
+      className: 'mb-4 p-2 bg-yellow-50 text-yellow-800 rounded text-sm'
+    }, `Also filtering on ${textOnlyFilters.join(', ')} - switch to Text to edit`),
+
     // Filter sections
-    React.createElement('div', { className: 'space-y-6' },
+    mode === 'form' && React.createElement('div', { className: 'space-y-6' },
 
       // Geography Section
       React.createElement(FilterSection, { title: 'Geography', icon: '🗺️' },
@@ -431,7 +572,13 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
         },
         className: 'px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50'
       }, 'Save Query')
-    )
+    ),
+
+    // Universe composition from the last search
+    facets && React.createElement(FacetSummary, {
+      facets,
+      stale: facetsConfig !== config,
+    })
   );
 }
 
@@ -439,6 +586,45 @@ function QueryBuilder({ onQueryChange, onSearch, initialConfig = {} }) {
 // Helper Components
 // ============================================================================
 
+const FACET_LABELS = {
+  party: 'Party',
+  age_band: 'Age',
+  sex: 'Sex',
+  race: 'Race',
+  precinct: 'Precinct',
+  municipality: 'Municipality',
+  turnout_bucket: 'Turnout Score',
+};
+
+function FacetSummary({ facets, stale }) {
+  return React.createElement('div', { className: `mt-6 border-t pt-4 ${stale ? 'opacity-50' : ''}` },
+    React.createElement('div', { className: 'flex justify-between items-center mb-3' },
+      React.createElement('h3', { className: 'font-semibold text-gray-700' }, 'Universe Composition'),
+      stale && React.createElement('span', { className: 'text-xs text-gray-500' }, 'Filters changed - search again to refresh')
+    ),
+    React.createElement('div', { className: 'grid grid-cols-2 gap-4' },
+      Object.entries(facets).map(([name, facet]) => {
+        const total = facet.buckets.reduce((sum, b) => sum + b.count, facet.other_count);
+        return React.createElement('div', { key: name },
+          React.createElement('div', { className: 'text-sm font-medium text-gray-600 mb-1' }, FACET_LABELS[name] || name),
+          facet.buckets.slice(0, 8).map(bucket =>
+            React.createElement('div', { key: bucket.value, className: 'flex items-center gap-2 text-xs' },
+              React.createElement('span', { className: 'w-24 truncate', title: bucket.value }, bucket.value),
+              React.createElement('div', { className: 'flex-1 h-2 bg-gray-200 rounded-full overflow-hidden' },
+                React.createElement('div', {
+                  className: 'h-full bg-blue-500',
+                  style: { width: `${total ? (bucket.count / total) * 100 : 0}%` }
+                })
+              ),
+              React.createElement('span', { className: 'w-14 text-right' }, bucket.count.toLocaleString())
+            )
+          )
+        );
+      })
+    )
+  );
+}
+
 function FilterSection({ title, icon, children }) {
   const [isOpen, setIsOpen] = useState(true);
 
@@ -557,7 +743,7 @@ function CheckboxGroup({ label, options, selected, onChange, counts = {} }) {
 // Voter Results Table
 // ============================================================================
 
-function VoterResultsTable({ voters, total, onLoadMore, onSelectVoters, onCreateList }) {
+function VoterResultsTable({ voters, total, totalEstimated, hasMore, onLoadMore, onSelectVoters, onCreateList }) {
   const [selected, setSelected] = useState(new Set());
   const [sortBy, setSortBy] = useState('last_name');
   const [sortDir, setSortDir] = useState('asc');
@@ -587,7 +773,9 @@ function VoterResultsTable({ voters, total, onLoadMore, onSelectVoters, onCreate
       React.createElement('div', null,
         React.createElement('span', { className: 'font-semibold' }, 'Results: '),
         React.createElement('span', { className: 'text-blue-600' },
-          `${voters.length.toLocaleString()} of ${total.toLocaleString()}`
+          total === null || total === undefined
+            ? voters.length.toLocaleString()
+            : `${voters.length.toLocaleString()} of ${totalEstimated ? '~' : ''}${total.toLocaleString()}`
         )
       ),
       React.createElement('div', { className: 'flex gap-2' },
@@ -695,7 +883,7 @@ function VoterResultsTable({ voters, total, onLoadMore, onSelectVoters, onCreate
     ),
 
     // Load more
-    voters.length < total && React.createElement('div', { className: 'p-4 border-t text-center' },
+    hasMore && React.createElement('div', { className: 'p-4 border-t text-center' },
       React.createElement('button', {
         onClick: onLoadMore,
         className: 'px-6 py-2 bg-gray-100 rounded hover:bg-gray-200'
@@ -842,6 +1030,16 @@ function ListManager({ onListSelect }) {
     }
   };
 
+  const refreshList = async (id) => {
+    try {
+      const result = await apiCall(`/lists/${id}/refresh`, { method: 'POST' });
+      alert(`Refreshed: ${result.added_count} added, ${result.removed_count} removed (${result.voter_count.toLocaleString()} voters)`);
+      loadLists();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   if (loading) return React.createElement('div', { className: 'p-4' }, 'Loading lists...');
 
   return React.createElement('div', { className: 'bg-white rounded-lg shadow-lg p-6' },
@@ -861,7 +1059,10 @@ function ListManager({ onListSelect }) {
                 React.createElement('div', null,
                   React.createElement('h3', { className: 'font-semibold' }, list.name),
                   React.createElement('p', { className: 'text-sm text-gray-500' },
-                    `${list.voter_count.toLocaleString()} voters • Created ${new Date(list.created_at).toLocaleDateString()}`
+                    `${list.voter_count.toLocaleString()} voters • Created ${new Date(list.created_at).toLocaleDateString()}`,
+                    list.list_type === 'dynamic' && ` • Dynamic${list.settings?.last_refreshed_at
+                      ? `, refreshed ${new Date(list.settings.last_refreshed_at).toLocaleDateString()}`
+                      : ''}`
                   )
                 ),
                 React.createElement('div', { className: 'flex gap-2' },
@@ -873,12 +1074,16 @@ function ListManager({ onListSelect }) {
                     onClick: () => groupByHousehold(list.id),
                     className: 'text-green-600 hover:text-green-800'
                   }, 'Group'),
+                  list.list_type === 'dynamic' && React.createElement('button', {
+                    onClick: () => refreshList(list.id),
+                    className: 'text-purple-600 hover:text-purple-800'
+                  }, 'Refresh'),
                   React.createElement('button', {
-                    onClick: () => window.open(`${API_BASE}/export/csv/list/${list.id}`, '_blank'),
+                    onClick: () => downloadFile(`/export/csv/list/${list.id}`).catch(err => alert(err.message)),
                     className: 'text-gray-600 hover:text-gray-800'
                   }, 'CSV'),
                   React.createElement('button', {
-                    onClick: () => window.open(`${API_BASE}/export/pdf/list/${list.id}`, '_blank'),
+                    onClick: () => downloadFile(`/export/pdf/list/${list.id}`).catch(err => alert(err.message)),
                     className: 'text-gray-600 hover:text-gray-800'
                   }, 'PDF'),
                   React.createElement('button', {
@@ -981,7 +1186,7 @@ function TurfCutter({ listId, onTurfCreated }) {
             ),
             React.createElement('div', { className: 'flex gap-2' },
               React.createElement('button', {
-                onClick: () => window.open(`${API_BASE}/export/pdf/turf/${turf.id}`, '_blank'),
+                onClick: () => downloadFile(`/export/pdf/turf/${turf.id}`).catch(err => alert(err.message)),
                 className: 'text-sm text-blue-600'
               }, 'PDF'),
               React.createElement('button', {
@@ -1014,7 +1219,10 @@ function MobileVoterLookup() {
 
     setLoading(true);
     try {
-      const result = await apiCall(`/voters?search=${encodeURIComponent(search)}&limit=20`);
+      // Names get the ranked fuzzy search; anything starting with a house number is an address
+      const result = /^\d/.test(search.trim()) && !/^\d+$/.test(search.trim())
+        ? await apiCall(`/voters?search=${encodeURIComponent(search)}&limit=20`)
+        : await apiCall(`/voters/search?q=${encodeURIComponent(search)}&limit=20`);
       setResults(result.voters);
     } catch (err) {
       alert(err.message);
@@ -1135,8 +1343,14 @@ function MobileVoterLookup() {
                 onClick: () => loadVoterDetails(voter.ncid),
                 className: 'border rounded p-3 cursor-pointer hover:bg-gray-50'
               },
-                React.createElement('div', { className: 'font-medium' },
-                  `${voter.first_name} ${voter.last_name}`
+                React.createElement('div', { className: 'flex justify-between' },
+                  React.createElement('span', { className: 'font-medium' },
+                    `${voter.first_name} ${voter.last_name}`
+                  ),
+                  voter.score !== undefined && React.createElement('span', {
+                    className: `text-xs ${voter.score >= 0.8 ? 'text-green-700' : 'text-gray-400'}`,
+                    title: 'Match score',
+                  }, `${Math.round(voter.score * 100)}%`)
                 ),
                 React.createElement('div', { className: 'text-sm text-gray-500' },
                   voter.street_address
@@ -1176,8 +1390,30 @@ function VoterQueryApp() {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  const handleSearch = (results) => {
+  const [queryConfig, setQueryConfig] = useState(null);
+
+  const handleSearch = (results, config) => {
     setQueryResults(results);
+    setQueryConfig(config);
+  };
+
+  // Next page resumes from the cursor; the total from the first page still applies
+  const handleLoadMore = async () => {
+    if (!queryResults?.next_cursor) return;
+    try {
+      const page = await apiCall('/query/build', {
+        method: 'POST',
+        body: JSON.stringify({ ...queryConfig, limit: 100, cursor: queryResults.next_cursor, count: 'none' }),
+      });
+      setQueryResults(prev => ({
+        ...prev,
+        voters: [...prev.voters, ...page.voters],
+        hasMore: page.hasMore,
+        next_cursor: page.next_cursor,
+      }));
+    } catch (err) {
+      alert(err.message);
+    }
   };
 
   const handleCreateList = async (ncids) => {
@@ -1232,6 +1468,9 @@ function VoterQueryApp() {
         queryResults && React.createElement(VoterResultsTable, {
           voters: queryResults.voters,
           total: queryResults.total,
+          totalEstimated: queryResults.total_estimated,
+          hasMore: queryResults.hasMore,
+          onLoadMore: handleLoadMore,
           onCreateList: handleCreateList,
         })
       ),